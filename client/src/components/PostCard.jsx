@@ -20,6 +20,7 @@ const PostCard = ({
     views,
     likes = [],
     comments = [],
+    commentCount = comments.length,
     createdAt,
     readingTime,
     tags = []
@@ -111,7 +112,7 @@ const PostCard = ({
           </span>
           <span className="stat">
             <i className="icon-comment"></i>
-            {comments.length} comments
+            {commentCount} comments
           </span>
           {readingTime && (
             <span className="stat">
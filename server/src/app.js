@@ -2,7 +2,6 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
@@ -10,84 +9,99 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
+const categoryRoutes = require('./routes/categories');
+const commentRoutes = require('./routes/comments');
+const revisionRoutes = require('./routes/revisions');
+const moderationRoutes = require('./routes/moderation');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
 
 // Import middleware
-const errorHandler = require('./middleware/errorHandler');
-const authMiddleware = require('./middleware/auth');
+const { errorHandler, notFound, AppError } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLogger');
+const { requestMetrics } = require('./middleware/metrics');
+const { logger } = require('./utils/logger');
+const { connectDB } = require('./utils/database');
+const { trackMongoPool } = require('./utils/metrics');
+const { getStorageConfig } = require('./utils/storage');
+const { getRoles } = require('./utils/permissions');
 
 const app = express();
 
+// Request IDs, request logging and metrics, for tracing responses and errors
+app.use(requestId);
+app.use(requestLogger);
+app.use(requestMetrics);
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
 
+// Health checks, before rate limiting so probes are never throttled
+app.use('/api/health', healthRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  handler: (req, res, next, options) => {
+    next(new AppError(options.message, options.statusCode, 'RATE_LIMITED'));
+  }
 });
 app.use('/api/', limiter);
 
-// Logging middleware
-app.use(morgan('combined'));
-
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Debugging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
+// Uploaded files kept on local disk, unless they are served from elsewhere
+const uploads = getStorageConfig();
+if (uploads.baseUrl.startsWith('/')) {
+  app.use(uploads.baseUrl, express.static(uploads.directory, {
+    index: false,
+    // Let the client application load images from another origin
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
+// Read the roles now, so a broken ROLES_FILE stops the app at startup instead
+// of failing the first request that checks a permission
+getRoles();
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/posts/:id/comments', commentRoutes);
+app.use('/api/posts/:id/revisions', revisionRoutes);
 app.use('/api/posts', postRoutes);
-app.use('/api/users', authMiddleware, userRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+app.use('/api/users', userRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+
+// Prometheus metrics
+app.use('/metrics', metricsRoutes);
+trackMongoPool(mongoose.connection);
 
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Route not found',
-    path: req.originalUrl 
-  });
-});
+app.use('*', notFound);
 
 // Global error handler
 app.use(errorHandler);
 
-// Database connection
-const connectDB = async () => {
-  try {
-    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-testing';
-    await mongoose.connect(mongoURI);
-    console.log('MongoDB connected successfully');
-  } catch (error) {
-    console.error('MongoDB connection error:', error);
-    process.exit(1);
-  }
-};
-
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
-  console.error('Unhandled Promise Rejection:', err);
+  logger.error('Unhandled Promise Rejection', { err });
   process.exit(1);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
+  logger.error('Uncaught Exception', { err });
   process.exit(1);
 });
 
@@ -1,52 +1,52 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { AppError } = require('./errorHandler');
+const { logger } = require('../utils/logger');
+
+// Tokens issued before the user's last revocation carry an older version
+const isTokenRevoked = (decoded, user) => {
+  return (decoded.tokenVersion || 0) !== (user.tokenVersion || 0);
+};
 
 const auth = async (req, res, next) => {
+  let user;
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({ 
-        error: 'Access denied. No token provided.' 
-      });
+      return next(new AppError('Access denied. No token provided.', 401, 'TOKEN_MISSING'));
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
+    user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
-      return res.status(401).json({ 
-        error: 'Invalid token. User not found.' 
-      });
+      return next(new AppError('Invalid token. User not found.', 401, 'TOKEN_INVALID'));
     }
 
     if (!user.isActive) {
-      return res.status(401).json({ 
-        error: 'Account is deactivated.' 
-      });
+      return next(new AppError('Account is deactivated.', 401, 'ACCOUNT_DEACTIVATED'));
     }
 
-    req.user = user;
-    next();
+    if (isTokenRevoked(decoded, user)) {
+      return next(new AppError('Token has been revoked.', 401, 'TOKEN_REVOKED'));
+    }
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token.' 
-      });
+      return next(new AppError('Invalid token.', 401, 'TOKEN_INVALID'));
     }
     
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token expired.' 
-      });
+      return next(new AppError('Token expired.', 401, 'TOKEN_EXPIRED'));
     }
     
-    res.status(500).json({ 
-      error: 'Authentication failed.' 
-    });
+    logger.error('Auth middleware error', { err: error });
+    return next(new AppError('Authentication failed.', 500, 'AUTHENTICATION_FAILED'));
   }
+
+  req.user = user;
+  next();
 };
 
 // Optional auth middleware - doesn't fail if no token
@@ -61,7 +61,7 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     const user = await User.findById(decoded.userId).select('-password');
     
-    if (user && user.isActive) {
+    if (user && user.isActive && !isTokenRevoked(decoded, user)) {
       req.user = user;
     }
     
@@ -72,61 +72,70 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Admin authorization middleware
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, (err) => {
+// Permission middleware - authenticates, then requires the user's role to
+// grant every listed permission (see utils/permissions)
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (permissions.length === 0 || unknown.length > 0) {
+    throw new Error(`requirePermission needs known permissions, got: ${unknown.join(', ') || 'none'}`);
+  }
+
+  return (req, res, next) => {
+    auth(req, res, (err) => {
       if (err) return next(err);
       
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ 
-          error: 'Access denied. Admin privileges required.' 
-        });
+      const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+      if (missing.length > 0) {
+        return next(new AppError(`Access denied. Missing permission: ${missing.join(', ')}`, 403, 'PERMISSION_DENIED'));
       }
       
       next();
     });
-  } catch (error) {
-    console.error('Admin auth middleware error:', error);
-    res.status(500).json({ 
-      error: 'Authorization failed.' 
-    });
+  };
+};
+
+// Block unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled.
+// Must run after auth.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
   }
+
+  if (!req.user || !req.user.isEmailVerified) {
+    return next(new AppError('Please verify your email address first.', 403, 'EMAIL_NOT_VERIFIED'));
+  }
+
+  next();
 };
 
 // Check if user owns the resource
 const checkOwnership = (model, field = 'author') => {
   return async (req, res, next) => {
+    let resource;
     try {
-      const resourceId = req.params.id;
-      const resource = await model.findById(resourceId);
-      
-      if (!resource) {
-        return res.status(404).json({ 
-          error: 'Resource not found.' 
-        });
-      }
-      
-      if (resource[field].toString() !== req.user._id.toString()) {
-        return res.status(403).json({ 
-          error: 'Access denied. You can only modify your own resources.' 
-        });
-      }
-      
-      req.resource = resource;
-      next();
+      resource = await model.findById(req.params.id);
     } catch (error) {
-      console.error('Ownership check error:', error);
-      res.status(500).json({ 
-        error: 'Ownership verification failed.' 
-      });
+      logger.error('Ownership check error', { err: error });
+      return next(new AppError('Ownership verification failed.', 500, 'OWNERSHIP_CHECK_FAILED'));
+    }
+    
+    if (!resource) {
+      return next(new AppError('Resource not found.', 404, 'NOT_FOUND'));
     }
+    
+    if (resource[field].toString() !== req.user._id.toString()) {
+      return next(new AppError('Access denied. You can only modify your own resources.', 403, 'NOT_OWNER'));
+    }
+    
+    req.resource = resource;
+    next();
   };
 };
 
 module.exports = {
   auth,
   optionalAuth,
-  adminAuth,
+  requirePermission,
+  requireVerifiedEmail,
   checkOwnership
 }; 
\ No newline at end of file
@@ -1,74 +1,127 @@
-const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
-
-  // Log error for debugging
-  console.error('Error details:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    timestamp: new Date().toISOString()
-  });
+const http = require('http');
+const { logger } = require('../utils/logger');
+const { httpErrors } = require('../utils/metrics');
+
+// Codes for errors that do not name their own
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+const getDefaultCode = (statusCode) => {
+  return DEFAULT_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+};
+
+// Custom error class. `code` is a stable identifier clients can rely on, and
+// `errors` lists problems with single fields: [{ field, location, message }].
+class AppError extends Error {
+  constructor(message, statusCode, code = getDefaultCode(statusCode), errors = undefined) {
+    super(message);
+    this.statusCode = statusCode;
+    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.code = code;
+    this.errors = errors;
+    this.isOperational = true;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+// Turn errors thrown by libraries into AppErrors
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
 
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
-    const message = 'Resource not found';
-    error = { message, statusCode: 404 };
+    return new AppError('Resource not found', 404, 'NOT_FOUND');
   }
 
   // Mongoose duplicate key error
   if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
-    const message = `${field} already exists`;
-    error = { message, statusCode: 400 };
+    const field = Object.keys(err.keyValue || {})[0];
+    return new AppError(`${field} already exists`, 400, 'DUPLICATE_VALUE', [
+      { field, location: 'body', message: `${field} already exists` }
+    ]);
   }
 
   // Mongoose validation error
   if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map(val => val.message).join(', ');
-    error = { message, statusCode: 400 };
+    const errors = Object.values(err.errors).map(val => ({ field: val.path, location: 'body', message: val.message }));
+    return new AppError(errors.map(e => e.message).join(', '), 400, 'VALIDATION_FAILED', errors);
   }
 
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
-    error = { message, statusCode: 401 };
+    return new AppError('Invalid token', 401, 'TOKEN_INVALID');
   }
 
   if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
-    error = { message, statusCode: 401 };
+    return new AppError('Token expired', 401, 'TOKEN_EXPIRED');
   }
 
-  // Express validator errors
-  if (err.array) {
-    const message = err.array().map(e => e.msg).join(', ');
-    error = { message, statusCode: 400 };
+  // Body parser errors
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request entity too large', 413, 'PAYLOAD_TOO_LARGE');
   }
 
-  // Rate limit errors
-  if (err.type === 'entity.too.large') {
-    const message = 'Request entity too large';
-    error = { message, statusCode: 413 };
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', 400, 'INVALID_JSON');
+  }
+
+  const statusCode = [err.statusCode, err.status].find(Number.isInteger) || 500;
+  return new AppError(err.message || 'Server Error', statusCode);
+};
+
+// Build an RFC 7807 problem details body. `error` repeats the detail for
+// clients written against the earlier { error } responses.
+const toProblem = (error, req) => {
+  const problem = {
+    type: 'about:blank',
+    title: http.STATUS_CODES[error.statusCode] || 'Error',
+    status: error.statusCode,
+    detail: error.message,
+    code: error.code,
+    instance: req.originalUrl,
+    requestId: req.id,
+    error: error.message
+  };
+
+  if (error.errors && error.errors.length > 0) {
+    problem.errors = error.errors;
   }
 
-  // Default error
-  const statusCode = error.statusCode || err.statusCode || 500;
-  const message = error.message || 'Server Error';
+  return problem;
+};
+
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+  httpErrors.inc({ status: error.statusCode, code: error.code });
+
+  // Unexpected errors are logged with their stack; the request log already
+  // records every other failed request
+  if (error.statusCode >= 500) {
+    logger.error('Request failed', { code: error.code, err });
+  } else {
+    logger.debug('Request failed', { code: error.code, status: error.statusCode, detail: error.message });
+  }
 
   // Don't leak error details in production
   const isDevelopment = process.env.NODE_ENV === 'development';
-  
-  res.status(statusCode).json({
-    error: message,
-    ...(isDevelopment && {
-      stack: err.stack,
-      details: error
-    })
-  });
+
+  res.status(error.statusCode)
+    .type('application/problem+json')
+    .json({
+      ...toProblem(error, req),
+      ...(isDevelopment && { stack: err.stack })
+    });
 };
 
 // Async error wrapper
@@ -78,21 +131,9 @@ const asyncHandler = (fn) => {
   };
 };
 
-// Custom error class
-class AppError extends Error {
-  constructor(message, statusCode) {
-    super(message);
-    this.statusCode = statusCode;
-    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
-    this.isOperational = true;
-
-    Error.captureStackTrace(this, this.constructor);
-  }
-}
-
 // Not found handler
 const notFound = (req, res, next) => {
-  const error = new AppError(`Route ${req.originalUrl} not found`, 404);
+  const error = new AppError(`Route ${req.originalUrl} not found`, 404, 'ROUTE_NOT_FOUND');
   next(error);
 };
 
@@ -101,4 +142,4 @@ module.exports = {
   asyncHandler,
   AppError,
   notFound
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,27 @@
+const { httpRequests, httpRequestDuration } = require('../utils/metrics');
+const { getRoutePath } = require('./requestLogger');
+
+// Requests no route handled, such as unknown paths and static files, share
+// one label so they cannot add a series per path
+const UNMATCHED_ROUTE = 'unmatched';
+
+// Count requests and their duration by route template. Must run after
+// requestLogger, which records the template of the matched route.
+const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = getRoutePath(req) || UNMATCHED_ROUTE;
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+};
+
+module.exports = {
+  UNMATCHED_ROUTE,
+  requestMetrics
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+const { runWithLogContext } = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs are kept only when they are short and plain
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give every request an ID, reusing the one sent by a proxy or client. It is
+// returned in the response and added to everything logged for the request.
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  runWithLogContext({ requestId: req.id }, next);
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestId
+};
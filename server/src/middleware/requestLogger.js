@@ -0,0 +1,105 @@
+const { logger } = require('../utils/logger');
+
+// Route parameters and query parameters whose values are left out of logged
+// URLs, such as the tokens in password reset links
+const SENSITIVE_PARAM_PATTERN = /token|secret|password/i;
+
+// The URL of a request as logged, without secrets in its path or query.
+// Path segments are matched against the route template, e.g.
+// /api/auth/reset-password/:token.
+const redactUrl = (url, routePath = null) => {
+  const [path, search] = url.split('?');
+  let redactedPath = path;
+
+  if (routePath) {
+    const template = routePath.split('/');
+    redactedPath = path.split('/').map((segment, index) => {
+      const part = template[index];
+      return part && part.startsWith(':') && SENSITIVE_PARAM_PATTERN.test(part) ? '[REDACTED]' : segment;
+    }).join('/');
+  }
+
+  if (!search) {
+    return redactedPath;
+  }
+
+  const params = new URLSearchParams(search);
+  for (const name of [...params.keys()]) {
+    if (SENSITIVE_PARAM_PATTERN.test(name)) {
+      params.set(name, '[REDACTED]');
+    }
+  }
+  return `${redactedPath}?${params}`;
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// Remember the path template of the route that handles a request, e.g.
+// /api/posts/:id/comments/:commentId. Express only knows where a router is
+// mounted while the request is inside it, so the template is built when the
+// route is matched. At that point req.params still holds the parameters of
+// the mount path, which turn its segments back into placeholders.
+const trackRoute = (req) => {
+  let route = req.route;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value && typeof value.path === 'string') {
+        const mountParams = Object.entries(req.params || {});
+        const baseUrl = req.baseUrl.split('/').map(segment => {
+          const param = mountParams.find(([, paramValue]) => paramValue === decodeSegment(segment));
+          return param ? `:${param[0]}` : segment;
+        }).join('/');
+
+        req.routePath = `${baseUrl}${value.path === '/' && baseUrl ? '' : value.path}`;
+      }
+    }
+  });
+};
+
+// Path template of the route that handled a request, or null when no route
+// matched
+const getRoutePath = (req) => req.routePath || null;
+
+// Log every request once it has been answered
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  trackRoute(req);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    const route = getRoutePath(req);
+
+    logger[level]('Request completed', {
+      // Listeners of 'finish' run outside the request's log context
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl, route),
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      userId: req.user ? req.user._id.toString() : undefined
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestLogger,
+  redactUrl,
+  getRoutePath
+};
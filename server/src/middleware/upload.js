@@ -0,0 +1,34 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const { getMaxImageSize, processImage } = require('../utils/images');
+
+// Accept a single image in a multipart field, check its content and render
+// the sizes of a preset. The result is left on req.image for the route to
+// store with saveImage once it has checked permissions.
+const imageUpload = (field, presetName) => (req, res, next) => {
+  const maxSize = getMaxImageSize();
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 }
+  }).single(field);
+
+  parse(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError(`File size too large. Maximum size: ${maxSize / (1024 * 1024)}MB`, 413, 'FILE_TOO_LARGE'));
+      }
+      return next(new AppError(err instanceof multer.MulterError ? `${err.message}: ${err.field || field}` : err.message, 400, 'INVALID_UPLOAD'));
+    }
+
+    try {
+      req.image = await processImage(req.file, presetName);
+      next();
+    } catch (error) {
+      next(new AppError(error.message, 400, 'INVALID_IMAGE'));
+    }
+  });
+};
+
+module.exports = {
+  imageUpload
+};
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('./utils/database');
+const { runMigrations } = require('./migrations');
+const { logger } = require('./utils/logger');
+
+// Apply pending data migrations. Run before starting a new version of the
+// server: npm run migrate
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    const applied = await runMigrations();
+    logger.info('Migrations complete', { applied });
+
+    await mongoose.disconnect();
+  } catch (error) {
+    logger.error('Migrations failed', { err: error });
+    process.exit(1);
+  }
+};
+
+// Only run migrations if this file is run directly
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = { migrate };
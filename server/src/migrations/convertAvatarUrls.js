@@ -0,0 +1,22 @@
+// Avatars used to be stored as a URL string. Convert them to the image
+// subdocument used for uploads, keeping the URL; empty avatars become null.
+module.exports = {
+  name: 'convert-avatar-urls',
+  up: async (db) => {
+    const { modifiedCount } = await db.collection('users').updateMany(
+      { 'profile.avatar': { $type: 'string' } },
+      [{
+        $set: {
+          'profile.avatar': {
+            $cond: [
+              { $eq: [{ $trim: { input: '$profile.avatar' } }, ''] },
+              null,
+              { url: '$profile.avatar', thumbnails: [] }
+            ]
+          }
+        }
+      }]
+    );
+    return { converted: modifiedCount };
+  }
+};
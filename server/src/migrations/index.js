@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+
+// Data migrations, in the order they run. Each migration runs once; applied
+// migrations are recorded in the migrations collection. Migrations work on
+// the raw collections so they keep working as the models change.
+const migrations = [
+  require('./verifyExistingUsers'),
+  require('./moveEmbeddedComments'),
+  require('./replacePostTextIndex'),
+  require('./normalizePostTags'),
+  require('./convertAvatarUrls')
+];
+
+// Run the migrations that have not been applied yet and return their names
+const runMigrations = async ({ connection = mongoose.connection } = {}) => {
+  const records = connection.db.collection('migrations');
+  const applied = new Set((await records.find({}, { projection: { name: 1 } }).toArray()).map(record => record.name));
+  const ran = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.name)) {
+      continue;
+    }
+
+    const started = Date.now();
+    const result = await migration.up(connection.db);
+    await records.insertOne({ name: migration.name, appliedAt: new Date() });
+
+    logger.info('Migration applied', { migration: migration.name, durationMs: Date.now() - started, result });
+    ran.push(migration.name);
+  }
+
+  return ran;
+};
+
+module.exports = {
+  migrations,
+  runMigrations
+};
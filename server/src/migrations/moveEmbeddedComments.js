@@ -0,0 +1,50 @@
+// Comments used to be embedded in posts as { user, content, createdAt }.
+// Move them into the comments collection, keeping their IDs, and set the
+// comment count of each post.
+module.exports = {
+  name: 'move-embedded-comments',
+  up: async (db) => {
+    const posts = db.collection('posts');
+    const comments = db.collection('comments');
+    let moved = 0;
+    let updatedPosts = 0;
+
+    const cursor = posts.find({ comments: { $exists: true } }, { projection: { comments: 1 } });
+    for await (const post of cursor) {
+      const embedded = Array.isArray(post.comments) ? post.comments : [];
+
+      if (embedded.length > 0) {
+        const { upsertedCount } = await comments.bulkWrite(embedded.map(comment => ({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                post: post._id,
+                author: comment.user,
+                parent: null,
+                content: comment.content,
+                status: 'approved',
+                moderatedBy: null,
+                moderatedAt: null,
+                replyCount: 0,
+                editedAt: null,
+                deletedAt: null,
+                deletedBy: null,
+                createdAt: comment.createdAt || post._id.getTimestamp(),
+                updatedAt: comment.createdAt || post._id.getTimestamp()
+              }
+            },
+            upsert: true
+          }
+        })));
+        moved += upsertedCount;
+      }
+
+      const commentCount = await comments.countDocuments({ post: post._id, status: 'approved', deletedAt: null });
+      await posts.updateOne({ _id: post._id }, { $set: { commentCount }, $unset: { comments: '' } });
+      updatedPosts += 1;
+    }
+
+    return { moved, posts: updatedPosts };
+  }
+};
@@ -0,0 +1,22 @@
+const { normalizeTags } = require('../utils/tags');
+
+// Tags are normalized when posts are saved ("React" -> "react"). Normalize
+// the tags of posts saved before that so tag filters match them.
+module.exports = {
+  name: 'normalize-post-tags',
+  up: async (db) => {
+    const posts = db.collection('posts');
+    let normalized = 0;
+
+    const cursor = posts.find({ 'tags.0': { $exists: true } }, { projection: { tags: 1 } });
+    for await (const post of cursor) {
+      const tags = normalizeTags(post.tags);
+      if (JSON.stringify(tags) !== JSON.stringify(post.tags)) {
+        await posts.updateOne({ _id: post._id }, { $set: { tags } });
+        normalized += 1;
+      }
+    }
+
+    return { normalized };
+  }
+};
@@ -0,0 +1,31 @@
+// MongoDB allows one text index per collection. The post text index used to
+// cover { title, content } as title_text_content_text; drop it so the
+// post_text_search index (title, tags and content) can be built.
+const TEXT_INDEX_NAME = 'post_text_search';
+
+module.exports = {
+  name: 'replace-post-text-index',
+  up: async (db) => {
+    const [collection] = await db.listCollections({ name: 'posts' }).toArray();
+    if (!collection) {
+      return { dropped: [] };
+    }
+
+    const posts = db.collection('posts');
+    const indexes = await posts.indexes();
+    const dropped = indexes
+      .filter(index => index.key._fts === 'text' && index.name !== TEXT_INDEX_NAME)
+      .map(index => index.name);
+
+    for (const name of dropped) {
+      await posts.dropIndex(name);
+    }
+
+    await posts.createIndex(
+      { title: 'text', tags: 'text', content: 'text' },
+      { weights: { title: 10, tags: 5, content: 1 }, name: TEXT_INDEX_NAME }
+    );
+
+    return { dropped };
+  }
+};
@@ -0,0 +1,13 @@
+// Accounts created before email verification existed have no
+// isEmailVerified field. Mark them verified so enabling
+// REQUIRE_EMAIL_VERIFICATION does not lock them out.
+module.exports = {
+  name: 'verify-existing-users',
+  up: async (db) => {
+    const { modifiedCount } = await db.collection('users').updateMany(
+      { isEmailVerified: { $exists: false } },
+      { $set: { isEmailVerified: true } }
+    );
+    return { verified: modifiedCount };
+  }
+};
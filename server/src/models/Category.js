@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { assignSlug } = require('../utils/slugs');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -17,6 +18,12 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers, and hyphens']
   },
+  // Previous slugs, kept so old links redirect to the current slug
+  slugHistory: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   description: {
     type: String,
     maxlength: [500, 'Description cannot exceed 500 characters']
@@ -42,6 +49,11 @@ const categorySchema = new mongoose.Schema({
   order: {
     type: Number,
     default: 0
+  },
+  commentMode: {
+    type: String,
+    enum: ['open', 'moderated', 'disabled'],
+    default: 'open'
   }
 }, {
   timestamps: true,
@@ -57,23 +69,70 @@ categorySchema.virtual('postCount', {
   count: true
 });
 
-// Generate slug from name
-categorySchema.pre('save', function(next) {
-  if (!this.isModified('name')) return next();
-  
-  try {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim('-');
-    next();
-  } catch (error) {
-    next(error);
+// Generate a unique slug from the name (before validation so a slug is
+// not required input)
+categorySchema.pre('validate', async function() {
+  await assignSlug(this, 'name', 'category');
+});
+
+// Reject parents that would make the category an ancestor of itself
+categorySchema.pre('validate', async function() {
+  if (!this.isModified('parent') || !this.parent) return;
+
+  if (this.parent.equals(this._id)) {
+    this.invalidate('parent', 'A category cannot be its own parent');
+    return;
+  }
+
+  const ancestorIds = await this.constructor.getAncestorIds(this.parent);
+  if (ancestorIds.some(id => id.equals(this._id))) {
+    this.invalidate('parent', 'A category cannot be nested under one of its own subcategories');
   }
 });
 
+// Static method to get the ids of a category's ancestors, nearest first
+categorySchema.statics.getAncestorIds = async function(categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth'
+      }
+    }
+  ]);
+
+  if (!result) return [];
+
+  return result.ancestors
+    .sort((a, b) => a.depth - b.depth)
+    .map(ancestor => ancestor._id);
+};
+
+// Static method to get a category's id together with all descendant ids
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants'
+      }
+    }
+  ]);
+
+  if (!result) return [];
+
+  return [result._id, ...result.descendants.map(descendant => descendant._id)];
+};
+
 // Static method to find active categories
 categorySchema.statics.findActive = function() {
   return this.find({ isActive: true })
@@ -116,8 +175,66 @@ categorySchema.statics.findWithPostCount = function() {
   ]);
 };
 
+// Static method to nest a flat list of categories under their parents
+categorySchema.statics.buildTree = function(categories) {
+  const nodes = new Map();
+  const roots = [];
+
+  categories.forEach((category) => {
+    const node = typeof category.toObject === 'function' ? category.toObject() : { ...category };
+    node.children = [];
+    nodes.set(node._id.toString(), node);
+  });
+
+  nodes.forEach((node) => {
+    const parentId = node.parent && (node.parent._id || node.parent).toString();
+    const parent = parentId && nodes.get(parentId);
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Static method to find active categories as a tree. Each node carries its
+// own published post count and a total that includes its subcategories.
+categorySchema.statics.findTree = async function() {
+  const [categories, counts] = await Promise.all([
+    this.find({ isActive: true })
+      .sort({ order: 1, name: 1 })
+      .lean(),
+    mongoose.model('Post').aggregate([
+      { $match: { status: 'published' } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  categories.forEach((category) => {
+    category.postCount = countById.get(category._id.toString()) || 0;
+  });
+
+  const tree = this.buildTree(categories);
+
+  const addTotals = (node) => {
+    node.totalPostCount = node.children.reduce(
+      (total, child) => total + addTotals(child),
+      node.postCount
+    );
+    return node.totalPostCount;
+  };
+  tree.forEach(addTotals);
+
+  return tree;
+};
+
 // Indexes for better query performance
 categorySchema.index({ slug: 1 });
+categorySchema.index({ slugHistory: 1 });
 categorySchema.index({ name: 1 });
 categorySchema.index({ isActive: 1 });
 categorySchema.index({ order: 1 });
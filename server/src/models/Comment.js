@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['approved', 'pending', 'rejected'],
+    default: 'approved'
+  },
+  moderationReason: {
+    type: String,
+    maxlength: [500, 'Moderation reason cannot exceed 500 characters']
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Deleted comments stay in the thread as tombstones without their content
+    transform: (doc, ret) => {
+      if (ret.deletedAt) {
+        ret.content = null;
+        ret.author = null;
+      }
+      delete ret.deletedBy;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for deleted state
+commentSchema.virtual('isDeleted').get(function() {
+  return Boolean(this.deletedAt);
+});
+
+// Post and parent counters only include approved comments
+const updateCounters = (comment, delta) => {
+  return Promise.all([
+    mongoose.model('Post').updateOne({ _id: comment.post }, { $inc: { commentCount: delta } }),
+    comment.parent && mongoose.model('Comment').updateOne({ _id: comment.parent }, { $inc: { replyCount: delta } })
+  ]);
+};
+
+// Static method to add a comment (or a reply) and keep the counters in sync
+commentSchema.statics.addToPost = async function(post, userId, content, parent = null, { status = 'approved', moderationReason } = {}) {
+  const comment = await this.create({
+    post: post._id,
+    author: userId,
+    parent: parent ? parent._id : null,
+    content,
+    status,
+    moderationReason
+  });
+
+  if (status === 'approved') {
+    await updateCounters(comment, 1);
+  }
+
+  return comment;
+};
+
+// Method to move the comment to a new moderation status. The transition is
+// claimed atomically so concurrent moderators cannot double count. Changes to
+// other fields are written in the same update, even when the status stays.
+commentSchema.methods.setStatus = async function(status, { moderatorId = null, reason, changes } = {}) {
+  if (this.status === status && !changes) {
+    return this;
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: {
+        ...changes,
+        status,
+        moderationReason: reason,
+        moderatedBy: moderatorId,
+        moderatedAt: moderatorId ? new Date() : null
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return this.constructor.findById(this._id);
+  }
+
+  if (!this.deletedAt) {
+    if (status === 'approved') {
+      await updateCounters(updated, 1);
+    } else if (this.status === 'approved') {
+      await updateCounters(updated, -1);
+    }
+  }
+
+  return updated;
+};
+
+// Method to soft delete the comment, leaving a tombstone so replies keep
+// their place in the thread
+commentSchema.methods.softDelete = async function(userId) {
+  const deleted = await this.constructor.findOneAndUpdate(
+    { _id: this._id, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: userId } },
+    { new: true }
+  );
+
+  // Already deleted by a concurrent request
+  if (!deleted) {
+    return this;
+  }
+
+  if (deleted.status === 'approved') {
+    await updateCounters(deleted, -1);
+  }
+
+  return deleted;
+};
+
+// Static method to list a page of comments for a post
+commentSchema.statics.findForPost = function(postId, { parent = null, skip = 0, limit = 10 } = {}) {
+  return this.find({ post: postId, parent, status: 'approved' })
+    .populate('author', 'username profile.firstName profile.lastName')
+    .sort({ createdAt: 1, _id: 1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Indexes for better query performance
+commentSchema.index({ post: 1, parent: 1, status: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+commentSchema.index({ author: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
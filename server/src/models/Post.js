@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { normalizeTags } = require('../utils/tags');
+const { escapeRegExp } = require('../utils/validation');
+const { assignSlug } = require('../utils/slugs');
+const { renderMarkdown } = require('../utils/markdown');
+const { hasPermission } = require('../utils/permissions');
+const imageSchema = require('./schemas/image');
+const softDelete = require('./plugins/softDelete');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -8,6 +15,7 @@ const postSchema = new mongoose.Schema({
     minlength: [3, 'Title must be at least 3 characters long'],
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // Markdown source (see utils/markdown for rendering)
   content: {
     type: String,
     required: [true, 'Content is required'],
@@ -32,16 +40,37 @@ const postSchema = new mongoose.Schema({
     trim: true,
     match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers, and hyphens']
   },
+  // Previous slugs, kept so old links redirect to the current slug
+  slugHistory: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
-  tags: [{
-    type: String,
-    trim: true,
-    maxlength: [50, 'Tag cannot exceed 50 characters']
-  }],
+  // When a scheduled post goes live (see utils/scheduler)
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Tag cannot exceed 50 characters']
+    }],
+    // Stored normalized so "React" and "react" are the same tag
+    set: normalizeTags
+  },
+  // Uploaded through PUT /api/posts/:id/cover-image
+  coverImage: {
+    type: imageSchema,
+    default: null
+  },
   featured: {
     type: Boolean,
     default: false
@@ -54,22 +83,17 @@ const postSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: [1000, 'Comment cannot exceed 1000 characters']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Overrides the category's comment mode when set
+  commentMode: {
+    type: String,
+    enum: ['open', 'moderated', 'disabled', null],
+    default: null
+  },
+  // Number of approved comments that have not been deleted (see models/Comment)
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   meta: {
     description: {
       type: String,
@@ -87,67 +111,88 @@ const postSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted posts go to the trash (see utils/trash)
+postSchema.plugin(softDelete);
+
 // Virtual for like count
 postSchema.virtual('likeCount').get(function() {
   return this.likes.length;
 });
 
-// Virtual for comment count
-postSchema.virtual('commentCount').get(function() {
-  return this.comments.length;
+// Virtual for reading time in minutes, from the rendered text of the content
+postSchema.virtual('readingTime').get(function() {
+  if (typeof this.content !== 'string') return undefined;
+  return renderMarkdown(this.content).readingTime;
 });
 
-// Virtual for reading time (estimated)
-postSchema.virtual('readingTime').get(function() {
-  const wordsPerMinute = 200;
-  const wordCount = this.content.split(' ').length;
-  return Math.ceil(wordCount / wordsPerMinute);
+// Method to serialize the post with its content rendered from Markdown to
+// sanitized HTML, plus a table of contents built from its headings
+postSchema.methods.toRenderedJSON = function() {
+  const { html, toc } = renderMarkdown(this.content);
+  return { ...this.toJSON(), html, toc };
+};
+
+// Generate a unique slug from the title (before validation so a slug is
+// not required input)
+postSchema.pre('validate', async function() {
+  await assignSlug(this, 'title', 'post');
 });
 
-// Generate slug from title
-postSchema.pre('save', function(next) {
-  if (!this.isModified('title')) return next();
-  
-  try {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim('-');
-    next();
-  } catch (error) {
-    next(error);
+// Scheduled posts need a publish date
+postSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Publish date is required for scheduled posts');
   }
+  next();
 });
 
-// Method to increment views
-postSchema.methods.incrementViews = async function() {
-  this.views += 1;
-  return await this.save();
+// Method to check whether a user can see the post. Published posts are
+// public; other posts only to their author and to users who may edit any post.
+postSchema.methods.isVisibleTo = function(user) {
+  if (this.status === 'published') return true;
+  if (!user) return false;
+  return (this.author._id || this.author).equals(user._id) || hasPermission(user, 'post:edit:any');
 };
 
-// Method to toggle like
-postSchema.methods.toggleLike = async function(userId) {
-  const likeIndex = this.likes.indexOf(userId);
-  
-  if (likeIndex > -1) {
-    this.likes.splice(likeIndex, 1);
-  } else {
-    this.likes.push(userId);
-  }
-  
-  return await this.save();
+// Method to check whether a user has liked the post
+postSchema.methods.isLikedBy = function(userId) {
+  if (!userId) return false;
+  return this.likes.some(id => (id._id || id).equals(userId));
+};
+
+// Static method to like a post. Idempotent: liking twice keeps one like.
+postSchema.statics.like = function(postId, userId) {
+  return this.findByIdAndUpdate(
+    postId,
+    { $addToSet: { likes: userId } },
+    { new: true }
+  );
 };
 
-// Method to add comment
-postSchema.methods.addComment = async function(userId, content) {
-  this.comments.push({
-    user: userId,
-    content: content
-  });
-  
-  return await this.save();
+// Static method to unlike a post. Idempotent: unliking twice is a no-op.
+postSchema.statics.unlike = function(postId, userId) {
+  return this.findByIdAndUpdate(
+    postId,
+    { $pull: { likes: userId } },
+    { new: true }
+  );
+};
+
+// Static method to toggle a like. The like is attempted only when the user
+// has not liked the post yet, so concurrent toggles cannot double-like.
+postSchema.statics.toggleLike = async function(postId, userId) {
+  const liked = await this.findOneAndUpdate(
+    { _id: postId, likes: { $ne: userId } },
+    { $addToSet: { likes: userId } },
+    { new: true }
+  );
+
+  if (liked) {
+    return { post: liked, liked: true };
+  }
+
+  const unliked = await this.unlike(postId, userId);
+  return { post: unliked, liked: false };
 };
 
 // Static method to find published posts
@@ -158,10 +203,15 @@ postSchema.statics.findPublished = function() {
     .sort({ createdAt: -1 });
 };
 
-// Static method to find posts by category
-postSchema.statics.findByCategory = function(categoryId) {
+// Static method to find posts by category, optionally including posts in
+// all of its subcategories
+postSchema.statics.findByCategory = async function(categoryId, { includeDescendants = false } = {}) {
+  const category = includeDescendants
+    ? { $in: await mongoose.model('Category').getDescendantIds(categoryId) }
+    : categoryId;
+
   return this.find({ 
-    category: categoryId, 
+    category, 
     status: 'published' 
   })
     .populate('author', 'username profile.firstName profile.lastName')
@@ -169,31 +219,132 @@ postSchema.statics.findByCategory = function(categoryId) {
     .sort({ createdAt: -1 });
 };
 
-// Static method to search posts
-postSchema.statics.search = function(query) {
-  return this.find({
-    $and: [
-      { status: 'published' },
-      {
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { content: { $regex: query, $options: 'i' } },
-          { tags: { $in: [new RegExp(query, 'i')] } }
+// Static method to search posts with the text index, ranked by relevance
+// unless another sort is given. `search` is a MongoDB $text search string
+// (terms, "phrases" and -exclusions).
+postSchema.statics.search = function(search, filter = { status: 'published' }, sort = { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 }) {
+  return this.find(
+    { ...filter, $text: { $search: search } },
+    { score: { $meta: 'textScore' } }
+  )
+    .populate('author', 'username profile.firstName profile.lastName')
+    .populate('category', 'name slug')
+    .sort(sort);
+};
+
+// Static method to count search matches by category, tag, author and status
+postSchema.statics.getSearchFacets = async function(search, filter = { status: 'published' }, limit = 20) {
+  const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ];
+
+  const [facets] = await this.aggregate([
+    { $match: { ...filter, $text: { $search: search } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        categories: [
+          ...countBy('$category'),
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $project: { _id: 0, id: '$_id', name: '$category.name', slug: '$category.slug', count: 1 } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          ...countBy('$tags'),
+          { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ],
+        authors: [
+          ...countBy('$author'),
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'author' } },
+          { $unwind: '$author' },
+          { $project: { _id: 0, id: '$_id', username: '$author.username', count: 1 } }
+        ],
+        statuses: [
+          ...countBy('$status'),
+          { $project: { _id: 0, status: '$_id', count: 1 } }
         ]
       }
-    ]
-  })
-    .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name')
-    .sort({ createdAt: -1 });
+    }
+  ]);
+
+  return {
+    total: facets.total.length > 0 ? facets.total[0].count : 0,
+    categories: facets.categories,
+    tags: facets.tags,
+    authors: facets.authors,
+    statuses: facets.statuses
+  };
+};
+
+// Static method to count how many published posts use each tag, optionally
+// limited to tags starting with a prefix
+postSchema.statics.getTagCounts = function({ prefix, sort = 'count', skip = 0, limit = 50 } = {}) {
+  const match = { status: 'published' };
+  if (prefix) {
+    // Anchored prefix match so the tags index can be used
+    match.tags = new RegExp(`^${escapeRegExp(prefix)}`);
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    ...(prefix ? [{ $match: match }] : []),
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+};
+
+// Static method to count the distinct tags used by published posts
+postSchema.statics.countTags = async function() {
+  const [result] = await this.aggregate([
+    { $match: { status: 'published' } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags' } },
+    { $count: 'count' }
+  ]);
+
+  return result ? result.count : 0;
+};
+
+// Static method to publish scheduled posts that are due. Each post is
+// claimed with a conditional update, so when several instances run the
+// scheduler at once every post is published exactly once. Returns the posts
+// this call published.
+postSchema.statics.publishDue = async function(now = new Date(), batchSize = 100) {
+  const due = await this.find({ status: 'scheduled', publishAt: { $lte: now } })
+    .select('_id')
+    .sort({ publishAt: 1 })
+    .limit(batchSize);
+
+  const published = await Promise.all(due.map(({ _id }) => this.findOneAndUpdate(
+    { _id, status: 'scheduled', publishAt: { $lte: now } },
+    { $set: { status: 'published' } },
+    { new: true }
+  )));
+
+  return published.filter(Boolean);
 };
 
 // Indexes for better query performance
 postSchema.index({ slug: 1 });
+postSchema.index({ slugHistory: 1 });
 postSchema.index({ author: 1 });
 postSchema.index({ category: 1 });
 postSchema.index({ status: 1 });
+postSchema.index({ tags: 1, status: 1 });
+postSchema.index({ status: 1, publishAt: 1 });
 postSchema.index({ createdAt: -1 });
-postSchema.index({ title: 'text', content: 'text' });
+postSchema.index({ status: 1, createdAt: -1, _id: -1 });
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+postSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { weights: { title: 10, tags: 5, content: 1 }, name: 'post_text_search' }
+);
 
 module.exports = mongoose.model('Post', postSchema); 
\ No newline at end of file
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { takeSnapshot, getRevisionLimit } = require('../utils/revisions');
+
+// A saved version of a post, recorded on every change (see utils/revisions)
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // Numbered from 1 for each post
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Editor is required']
+  },
+  changedFields: [{
+    type: String
+  }],
+  // Revision this one was restored from, if any
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // Tracked fields of the post as saved in this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to get the latest revision of a post
+postRevisionSchema.statics.findLatest = function(postId) {
+  return this.findOne({ post: postId }).sort({ revision: -1 });
+};
+
+// Static method to record the current state of a post as a new revision.
+// Posts saved before revisions existed get their previous state recorded
+// first, so the first change can be diffed and undone. Concurrent edits
+// compete for the next number through the unique index and retry.
+postRevisionSchema.statics.record = async function(post, editorId, { changedFields = [], restoredFrom = null, previous = null } = {}) {
+  const maxAttempts = 3;
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findLatest(post._id).select('revision');
+    let next = latest ? latest.revision + 1 : 1;
+
+    try {
+      if (!latest && previous) {
+        await this.create({
+          post: post._id,
+          revision: next,
+          editor: post.author._id || post.author,
+          snapshot: previous
+        });
+        next += 1;
+      }
+
+      const revision = await this.create({
+        post: post._id,
+        revision: next,
+        editor: editorId,
+        changedFields,
+        restoredFrom,
+        snapshot: takeSnapshot(post)
+      });
+
+      await this.prune(post._id, next);
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= maxAttempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to drop the oldest revisions beyond the retention limit
+postRevisionSchema.statics.prune = function(postId, latestRevision, limit = getRevisionLimit()) {
+  return this.deleteMany({
+    post: postId,
+    revision: { $lte: latestRevision - limit }
+  });
+};
+
+// Indexes for better query performance
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const ViewHistory = require('./ViewHistory');
+
+// Views from the same viewer within this window count once
+const VIEW_DEDUP_WINDOW_MINUTES = parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30;
+
+// Last counted view of a post per viewer, used to deduplicate views
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // "user:<id>" for signed-in users, "anon:<fingerprint>" otherwise
+  viewer: {
+    type: String,
+    required: [true, 'Viewer is required']
+  },
+  lastViewedAt: {
+    type: Date,
+    required: [true, 'Last viewed date is required']
+  }
+});
+
+// Static method to record a view. Returns true when the view was counted and
+// false when the viewer already viewed the post within the window.
+postViewSchema.statics.record = async function(post, viewer, now = new Date()) {
+  const windowStart = new Date(now.getTime() - VIEW_DEDUP_WINDOW_MINUTES * 60 * 1000);
+
+  try {
+    // Matches only when the previous view is outside the window. A recent
+    // view makes the upsert collide with the unique index instead.
+    await this.updateOne(
+      { post: post._id, viewer, lastViewedAt: { $lte: windowStart } },
+      { $set: { lastViewedAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  await Promise.all([
+    mongoose.model('Post').updateOne({ _id: post._id }, { $inc: { views: 1 } }),
+    ViewHistory.increment(post, now)
+  ]);
+
+  return true;
+};
+
+// Indexes for better query performance
+postViewSchema.index({ post: 1, viewer: 1 }, { unique: true });
+postViewSchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: VIEW_DEDUP_WINDOW_MINUTES * 60 });
+
+module.exports = mongoose.model('PostView', postViewSchema);
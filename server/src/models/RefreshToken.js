@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateRefreshToken, hashToken, getRefreshTokenExpiration } = require('../utils/auth');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  device: {
+    type: String,
+    default: 'unknown',
+    maxlength: [200, 'Device cannot exceed 200 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'reuse', 'superseded', 'logout', 'revoked', null],
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for expiration check
+refreshTokenSchema.virtual('isExpired').get(function() {
+  return this.expiresAt.getTime() <= Date.now();
+});
+
+// Virtual for active check
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !this.isExpired;
+});
+
+// Static method to issue a new refresh token. Returns the raw token, which
+// is never stored, together with the persisted document.
+refreshTokenSchema.statics.issue = async function(user, { device = 'unknown', family } = {}) {
+  const token = generateRefreshToken(user);
+
+  const refreshToken = await this.create({
+    user: user._id || user,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    device: String(device).slice(0, 200),
+    expiresAt: getRefreshTokenExpiration()
+  });
+
+  return { token, refreshToken };
+};
+
+// Static method to find a stored token by its raw value
+refreshTokenSchema.statics.findByToken = function(token) {
+  if (!token || typeof token !== 'string') {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'reuse') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke a user's active tokens, optionally for one device
+refreshTokenSchema.statics.revokeForUser = function(userId, { device, reason = 'logout' } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (device !== undefined) {
+    query.device = String(device).slice(0, 200);
+  }
+
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Method to rotate the token. The token is claimed atomically so two
+// concurrent refreshes cannot both succeed; the loser gets null back.
+refreshTokenSchema.methods.rotate = async function() {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  const issued = await this.constructor.issue(this.user, {
+    device: this.device,
+    family: this.family
+  });
+
+  claimed.replacedBy = issued.refreshToken._id;
+  await claimed.save();
+
+  return issued;
+};
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1, device: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
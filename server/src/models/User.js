@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const RefreshToken = require('./RefreshToken');
+const imageSchema = require('./schemas/image');
+const softDelete = require('./plugins/softDelete');
+const { AppError } = require('../middleware/errorHandler');
+const { isKnownRole } = require('../utils/permissions');
+const {
+  generatePasswordResetToken,
+  generateEmailVerificationToken,
+  hashToken
+} = require('../utils/auth');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -23,15 +33,48 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Roles and their permissions are configured in utils/permissions
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: isKnownRole,
+      message: props => `${props.value} is not a valid role`
+    }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Bumped to revoke every access token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   profile: {
     firstName: {
       type: String,
@@ -47,8 +90,10 @@ const userSchema = new mongoose.Schema({
       type: String,
       maxlength: [500, 'Bio cannot exceed 500 characters']
     },
+    // Uploaded through PUT /api/users/:id/avatar
     avatar: {
-      type: String
+      type: imageSchema,
+      default: null
     }
   }
 }, {
@@ -57,6 +102,9 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted users go to the trash (see utils/trash)
+userSchema.plugin(softDelete);
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   if (this.profile.firstName && this.profile.lastName) {
@@ -91,30 +139,88 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.tokenVersion;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.emailVerificationSentAt;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
   return userObject;
 };
 
 // Static method to find user by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
-  try {
-    const user = await this.findOne({ email });
-    if (!user) {
-      throw new Error('Invalid login credentials');
-    }
-    
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      throw new Error('Invalid login credentials');
-    }
-    
-    return user;
-  } catch (error) {
-    throw error;
+  const user = await this.findOne({ email });
+  if (!user || !(await user.comparePassword(password))) {
+    throw new AppError('Invalid login credentials', 401, 'INVALID_CREDENTIALS');
   }
+
+  return user;
+};
+
+// Method to create a password reset token. Only the hash is stored; the raw
+// token is returned so it can be mailed to the user.
+userSchema.methods.createPasswordResetToken = function() {
+  const { resetToken, hashedToken } = generatePasswordResetToken();
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  this.passwordResetToken = hashedToken;
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Static method to claim a password reset token. The token is cleared in the
+// same update that finds it, so it can only be used once.
+userSchema.statics.claimPasswordResetToken = function(resetToken) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(resetToken),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Method to create an email verification token. Only the hash is stored;
+// the raw token is returned so it can be mailed to the user.
+userSchema.methods.createEmailVerificationToken = function() {
+  const { verificationToken, hashedToken } = generateEmailVerificationToken(this);
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Static method to verify an email with a token. The token is cleared in the
+// same update that finds it, so it can only be used once.
+userSchema.statics.verifyEmailToken = function(verificationToken) {
+  return this.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(verificationToken),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke all outstanding access and refresh tokens
+userSchema.statics.revokeTokens = async function(userId, reason = 'logout') {
+  await RefreshToken.revokeForUser(userId, { reason });
+  return this.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
 };
 
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ createdAt: -1, _id: -1 });
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Daily view totals per post, used for author stats trends
+const viewHistorySchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  // Start of the UTC day the views belong to
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Get the start of the UTC day for a date
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Static method to add a view to the post's total for the day
+viewHistorySchema.statics.increment = function(post, date = new Date()) {
+  return this.updateOne(
+    { post: post._id, date: startOfDay(date) },
+    {
+      $inc: { views: 1 },
+      $setOnInsert: { author: post.author._id || post.author }
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to get an author's daily views for the last few days
+viewHistorySchema.statics.getAuthorTrend = async function(authorId, days = 30) {
+  const since = startOfDay(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+
+  const history = await this.aggregate([
+    { $match: { author: new mongoose.Types.ObjectId(authorId), date: { $gte: since } } },
+    { $group: { _id: '$date', views: { $sum: '$views' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // Fill in days without views so the trend has no gaps
+  const viewsByDay = new Map(history.map(({ _id, views }) => [_id.getTime(), views]));
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(since.getTime() + i * 24 * 60 * 60 * 1000);
+    return { date, views: viewsByDay.get(date.getTime()) || 0 };
+  });
+};
+
+// Indexes for better query performance
+viewHistorySchema.index({ post: 1, date: 1 }, { unique: true });
+viewHistorySchema.index({ author: 1, date: 1 });
+
+module.exports = mongoose.model('ViewHistory', viewHistorySchema);
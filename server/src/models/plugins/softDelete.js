@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Soft delete for a schema. Deleted documents keep a deletedAt date and are
+// left out of queries and aggregations unless asked for with withDeleted()
+// or a filter on deletedAt. Deletes (deleteOne, deleteMany, ...) are not
+// filtered; they are how the trash is purged for good.
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    const { withDeleted } = this.getOptions();
+    delete this.options.withDeleted;
+
+    if (!withDeleted && !Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  // Stages such as $text must stay first, so the condition joins a leading
+  // $match rather than going in front of it
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (first && first.$match) {
+      if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+        first.$match.deletedAt = null;
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Query helper to include deleted documents
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  // Query helper to find only deleted documents
+  schema.query.onlyDeleted = function() {
+    return this.where({ deletedAt: { $ne: null } });
+  };
+
+  // Method to check whether the document is in the trash
+  schema.methods.isDeleted = function() {
+    return Boolean(this.deletedAt);
+  };
+
+  // Static method to move a document to the trash. Returns null when it does
+  // not exist or is already deleted, so only one caller wins.
+  schema.statics.softDeleteById = function(id, deletedBy = null, deletedAt = new Date()) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $set: { deletedAt, deletedBy } },
+      { new: true }
+    );
+  };
+
+  // Static method to take a document out of the trash. Returns null when it
+  // does not exist or is not deleted.
+  schema.statics.restoreById = function(id) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } },
+      { new: true }
+    );
+  };
+
+  schema.index({ deletedAt: 1 });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// An uploaded image as stored by utils/images, embedded in the documents
+// that use it
+const thumbnailSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+  // Storage key, used to delete the file. Images that are only linked, such
+  // as avatar URLs set before uploads existed, have none.
+  key: String,
+  url: { type: String, required: true },
+  contentType: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  thumbnails: [thumbnailSchema]
+}, {
+  _id: false,
+  timestamps: { createdAt: 'uploadedAt', updatedAt: false }
+});
+
+module.exports = imageSchema;
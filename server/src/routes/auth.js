@@ -1,12 +1,48 @@
 const express = require('express');
 const { body } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const { generateToken } = require('../utils/auth');
+const { auth } = require('../middleware/auth');
+const { sendMail, buildClientUrl } = require('../utils/mailer');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { checkValidationResult, sanitizeInput } = require('../utils/validation');
+const { getPermissions } = require('../utils/permissions');
+const metrics = require('../utils/metrics');
+const { allowFields, pickFields } = require('../utils/fields');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
+// Identify the client device a refresh token belongs to
+const getDevice = (req) => {
+  return req.body.deviceId || req.get('User-Agent') || 'unknown';
+};
+
+// Issue an access token and a refresh token for a new session. Any active
+// refresh token previously issued to the same device is superseded.
+const createSession = async (user, device) => {
+  await RefreshToken.revokeForUser(user._id, { device, reason: 'superseded' });
+  const { token: refreshToken, refreshToken: stored } = await RefreshToken.issue(user, { device });
+
+  return {
+    token: generateToken(user),
+    refreshToken,
+    refreshTokenExpiresAt: stored.expiresAt
+  };
+};
+
+// Email a verification link to the user
+const sendVerificationEmail = async (user, verificationToken) => {
+  const verifyUrl = buildClientUrl(`/verify-email/${verificationToken}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome, ${user.username}! Please confirm your email address using the link below:\n\n${verifyUrl}`
+  });
+};
+
 // Register new user
 router.post('/register', [
   body('username')
@@ -40,6 +76,12 @@ router.post('/register', [
     .isLength({ max: 50 })
     .withMessage('Last name cannot exceed 50 characters'),
   
+  body('deviceId')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Device ID cannot exceed 200 characters'),
+  
   checkValidationResult
 ], asyncHandler(async (req, res) => {
   const { username, email, password, firstName, lastName } = sanitizeInput(req.body);
@@ -50,7 +92,7 @@ router.post('/register', [
   });
 
   if (existingUser) {
-    throw new AppError('User with this email or username already exists', 400);
+    throw new AppError('User with this email or username already exists', 400, 'USER_EXISTS');
   }
 
   // Create new user
@@ -64,15 +106,25 @@ router.post('/register', [
     }
   });
 
+  const verificationToken = user.createEmailVerificationToken();
   await user.save();
+  metrics.registrations.inc();
 
-  // Generate token
-  const token = generateToken(user);
+  // The account exists now, so a mail failure must not fail the request.
+  // The user can ask for another email with /resend-verification.
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    logger.error('Failed to send verification email', { userId: user._id, err: error });
+  }
+
+  // Generate tokens
+  const session = await createSession(user, getDevice(req));
 
   res.status(201).json({
     message: 'User registered successfully',
     user: user.getPublicProfile(),
-    token
+    ...session
   });
 }));
 
@@ -88,6 +140,12 @@ router.post('/login', [
     .notEmpty()
     .withMessage('Password is required'),
   
+  body('deviceId')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Device ID cannot exceed 200 characters'),
+  
   checkValidationResult
 ], asyncHandler(async (req, res) => {
   const { email, password } = sanitizeInput(req.body);
@@ -96,34 +154,36 @@ router.post('/login', [
   const user = await User.findByCredentials(email, password);
 
   if (!user.isActive) {
-    throw new AppError('Account is deactivated', 401);
+    throw new AppError('Account is deactivated', 401, 'ACCOUNT_DEACTIVATED');
   }
 
-  // Generate token
-  const token = generateToken(user);
+  // Generate tokens
+  const session = await createSession(user, getDevice(req));
+  metrics.logins.inc();
 
   res.json({
     message: 'Login successful',
     user: user.getPublicProfile(),
-    token
+    ...session
   });
 }));
 
 // Get current user profile
-router.get('/me', asyncHandler(async (req, res) => {
-  // This route requires authentication middleware
-  // The user will be available in req.user from the auth middleware
+router.get('/me', auth, asyncHandler(async (req, res) => {
   if (!req.user) {
-    throw new AppError('Authentication required', 401);
+    throw new AppError('Authentication required', 401, 'AUTH_REQUIRED');
   }
 
   res.json({
-    user: req.user.getPublicProfile()
+    user: req.user.getPublicProfile(),
+    permissions: getPermissions(req.user)
   });
 }));
 
 // Update user profile
 router.put('/profile', [
+  auth,
+  allowFields('profile'),
   body('firstName')
     .optional()
     .trim()
@@ -145,10 +205,10 @@ router.put('/profile', [
   checkValidationResult
 ], asyncHandler(async (req, res) => {
   if (!req.user) {
-    throw new AppError('Authentication required', 401);
+    throw new AppError('Authentication required', 401, 'AUTH_REQUIRED');
   }
 
-  const { firstName, lastName, bio } = sanitizeInput(req.body);
+  const { firstName, lastName, bio } = pickFields(sanitizeInput(req.body), 'profile');
 
   // Update user profile
   const user = await User.findById(req.user._id);
@@ -167,6 +227,7 @@ router.put('/profile', [
 
 // Change password
 router.put('/change-password', [
+  auth,
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
@@ -180,7 +241,7 @@ router.put('/change-password', [
   checkValidationResult
 ], asyncHandler(async (req, res) => {
   if (!req.user) {
-    throw new AppError('Authentication required', 401);
+    throw new AppError('Authentication required', 401, 'AUTH_REQUIRED');
   }
 
   const { currentPassword, newPassword } = sanitizeInput(req.body);
@@ -190,31 +251,175 @@ router.put('/change-password', [
   const isMatch = await user.comparePassword(currentPassword);
 
   if (!isMatch) {
-    throw new AppError('Current password is incorrect', 400);
+    throw new AppError('Current password is incorrect', 400, 'INVALID_PASSWORD');
   }
 
   // Update password
   user.password = newPassword;
   await user.save();
 
+  // Revoke every other session and start a fresh one for this client
+  const updatedUser = await User.revokeTokens(user._id, 'revoked');
+  const session = await createSession(updatedUser, getDevice(req));
+
+  res.json({
+    message: 'Password changed successfully',
+    ...session
+  });
+}));
+
+// Verify email address with a token from the verification email
+router.get('/verify-email/:token', asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const user = await User.verifyEmailToken(token);
+  if (!user) {
+    throw new AppError('Verification token is invalid or has expired', 400, 'TOKEN_INVALID');
+  }
+
+  res.json({
+    message: 'Email verified successfully',
+    user: user.getPublicProfile()
+  });
+}));
+
+// Resend the verification email (throttled per user)
+router.post('/resend-verification', auth, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+  if (user.isEmailVerified) {
+    throw new AppError('Email is already verified', 400, 'EMAIL_ALREADY_VERIFIED');
+  }
+
+  const throttleSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+  const sentAt = user.emailVerificationSentAt;
+  if (sentAt && Date.now() - sentAt.getTime() < throttleSeconds * 1000) {
+    throw new AppError('Verification email was sent recently. Please try again later', 429, 'RATE_LIMITED');
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+  await sendVerificationEmail(user, verificationToken);
+
+  res.json({
+    message: 'Verification email sent'
+  });
+}));
+
+// Request a password reset email
+router.post('/forgot-password', [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail(),
+  
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { email } = sanitizeInput(req.body);
+
+  const user = await User.findOne({ email });
+
+  // Respond the same way whether or not the account exists
+  if (user && user.isActive) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = buildClientUrl(`/reset-password/${resetToken}`);
+    await sendMail({
+      to: user.email,
+      subject: 'Password reset request',
+      text: `You requested a password reset. Use the link below to choose a new password:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+    });
+  }
+
+  res.json({
+    message: 'If an account with that email exists, a password reset link has been sent'
+  });
+}));
+
+// Reset password with a token from the reset email
+router.post('/reset-password/:token', [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = sanitizeInput(req.body);
+
+  const user = await User.claimPasswordResetToken(token);
+  if (!user) {
+    throw new AppError('Password reset token is invalid or has expired', 400, 'TOKEN_INVALID');
+  }
+
+  user.password = password;
+  await user.save();
+
+  // Sessions opened with the old password are no longer trusted
+  await User.revokeTokens(user._id, 'revoked');
+
   res.json({
-    message: 'Password changed successfully'
+    message: 'Password has been reset successfully'
   });
 }));
 
-// Logout (client-side token removal)
-router.post('/logout', (req, res) => {
+// Logout (revokes all outstanding access and refresh tokens)
+router.post('/logout', auth, asyncHandler(async (req, res) => {
+  await User.revokeTokens(req.user._id, 'logout');
+
   res.json({
     message: 'Logged out successfully'
   });
-});
+}));
+
+// Refresh token (rotates the refresh token and issues a new access token)
+router.post('/refresh-token', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const stored = await RefreshToken.findByToken(refreshToken);
+  if (!stored) {
+    throw new AppError('Invalid refresh token', 401, 'TOKEN_INVALID');
+  }
+
+  // A revoked token being presented again means it leaked: revoke the
+  // whole family so neither party can keep using it
+  if (stored.revokedAt) {
+    await RefreshToken.revokeFamily(stored.family, 'reuse');
+    throw new AppError('Refresh token has been revoked', 401, 'TOKEN_REVOKED');
+  }
+
+  if (stored.isExpired) {
+    throw new AppError('Refresh token expired', 401, 'TOKEN_EXPIRED');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(stored.family, 'logout');
+    throw new AppError('Account is deactivated', 401, 'ACCOUNT_DEACTIVATED');
+  }
+
+  const rotated = await stored.rotate();
+  if (!rotated) {
+    await RefreshToken.revokeFamily(stored.family, 'reuse');
+    throw new AppError('Refresh token has been revoked', 401, 'TOKEN_REVOKED');
+  }
 
-// Refresh token (placeholder for future implementation)
-router.post('/refresh-token', asyncHandler(async (req, res) => {
-  // In a real application, you would validate the refresh token
-  // and generate a new access token
   res.json({
-    message: 'Token refresh endpoint - not implemented in this demo'
+    message: 'Token refreshed successfully',
+    token: generateToken(user),
+    refreshToken: rotated.token,
+    refreshTokenExpiresAt: rotated.refreshToken.expiresAt
   });
 }));
 
@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { requirePermission } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { checkValidationResult, sanitizeInput } = require('../utils/validation');
+const { COMMENT_MODES } = require('../utils/moderation');
+const { redirectToSlug, saveWithUniqueSlug } = require('../utils/slugs');
+
+const router = express.Router();
+
+// Shared validation for category create and update
+const categoryValidation = (isUpdate = false) => {
+  const name = body('name');
+
+  return [
+    (isUpdate ? name.optional() : name)
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Category name must be between 2 and 50 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+
+    body('color')
+      .optional()
+      .matches(/^#[0-9A-F]{6}$/i)
+      .withMessage('Color must be a valid hex color'),
+
+    body('icon')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Icon name cannot exceed 50 characters'),
+
+    body('parent')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid parent category ID'),
+
+    body('order')
+      .optional()
+      .isInt()
+      .withMessage('Order must be an integer'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+
+    body('commentMode')
+      .optional()
+      .isIn(COMMENT_MODES)
+      .withMessage('Invalid comment mode')
+  ];
+};
+
+// Verify a parent category exists
+const ensureParentExists = async (parentId) => {
+  if (!parentId) return;
+
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    throw new AppError('Parent category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+};
+
+// Get all active categories, as a flat list or as a tree with aggregated
+// post counts (?format=tree)
+router.get('/', [
+  query('format').optional().isIn(['flat', 'tree']).withMessage('Format must be flat or tree'),
+  query('withCounts').optional().isBoolean().withMessage('withCounts must be a boolean'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { format = 'flat', withCounts } = req.query;
+
+  if (format === 'tree') {
+    const categories = await Category.findTree();
+    return res.json({ categories });
+  }
+
+  const categories = withCounts === 'true'
+    ? await Category.findWithPostCount()
+    : await Category.findActive();
+
+  res.json({ categories });
+}));
+
+// Get category by slug
+router.get('/slug/:slug', asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  const category = await Category.findOne({ slug, isActive: true })
+    .populate('parent', 'name slug');
+
+  if (!category) {
+    // Old slugs redirect to the category's current slug
+    const renamed = await Category.findOne({ slugHistory: slug, isActive: true }).select('slug');
+    if (renamed) {
+      return redirectToSlug(req, res, renamed.slug);
+    }
+    throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+
+  const children = await Category.find({ parent: category._id, isActive: true })
+    .select('name slug color icon order')
+    .sort({ order: 1, name: 1 });
+
+  res.json({ category, children });
+}));
+
+// Create new category (requires category:manage)
+router.post('/', [
+  requirePermission('category:manage'),
+  ...categoryValidation(),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { name, description, color, icon, parent, order, isActive, commentMode } = sanitizeInput(req.body);
+
+  await ensureParentExists(parent);
+
+  const category = new Category({
+    name,
+    description,
+    color,
+    icon,
+    parent: parent || null,
+    order,
+    isActive,
+    commentMode
+  });
+
+  await saveWithUniqueSlug(category);
+
+  res.status(201).json({
+    message: 'Category created successfully',
+    category
+  });
+}));
+
+// Reorder categories (requires category:manage)
+router.put('/reorder', [
+  requirePermission('category:manage'),
+  body('categories')
+    .isArray({ min: 1 })
+    .withMessage('Categories must be a non-empty array'),
+
+  body('categories.*.id')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+
+  body('categories.*.order')
+    .isInt()
+    .withMessage('Order must be an integer'),
+
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { categories } = req.body;
+
+  const ids = categories.map(({ id }) => id);
+  const found = await Category.countDocuments({ _id: { $in: ids } });
+  if (found !== new Set(ids).size) {
+    throw new AppError('One or more categories not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+
+  await Category.bulkWrite(categories.map(({ id, order }) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { order: parseInt(order) } }
+    }
+  })));
+
+  const updated = await Category.find({ _id: { $in: ids } })
+    .sort({ order: 1, name: 1 });
+
+  res.json({
+    message: 'Categories reordered successfully',
+    categories: updated
+  });
+}));
+
+// Update category (requires category:manage)
+router.put('/:id', [
+  requirePermission('category:manage'),
+  ...categoryValidation(true),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = sanitizeInput(req.body);
+
+  const category = await Category.findById(id);
+  if (!category) {
+    throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+
+  if (updates.parent !== undefined) {
+    await ensureParentExists(updates.parent);
+    category.parent = updates.parent || null;
+  }
+
+  ['name', 'description', 'color', 'icon', 'order', 'isActive', 'commentMode'].forEach((field) => {
+    if (updates[field] !== undefined) category[field] = updates[field];
+  });
+
+  await saveWithUniqueSlug(category);
+
+  res.json({
+    message: 'Category updated successfully',
+    category
+  });
+}));
+
+// Delete category (requires category:manage). Categories that still have posts can only
+// be deleted when the posts are reassigned to another category.
+router.delete('/:id', [
+  requirePermission('category:manage'),
+  query('reassignTo').optional().isMongoId().withMessage('Invalid category ID to reassign posts to'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reassignTo } = req.query;
+
+  const category = await Category.findById(id);
+  if (!category) {
+    throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+
+  const childCount = await Category.countDocuments({ parent: id });
+  if (childCount > 0) {
+    throw new AppError('Cannot delete a category that has subcategories', 409, 'CATEGORY_IN_USE');
+  }
+
+  // Posts in the trash count too, so restoring them keeps working
+  const postCount = await Post.countDocuments({ category: id }).withDeleted();
+  let reassigned = 0;
+
+  if (postCount > 0) {
+    if (!reassignTo) {
+      throw new AppError('Category still has posts. Reassign them or deactivate the category instead', 409, 'CATEGORY_IN_USE');
+    }
+
+    if (reassignTo === id) {
+      throw new AppError('Cannot reassign posts to the category being deleted', 400, 'INVALID_REASSIGNMENT');
+    }
+
+    const target = await Category.findById(reassignTo);
+    if (!target) {
+      throw new AppError('Category to reassign posts to not found', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    const result = await Post.updateMany({ category: id }, { $set: { category: target._id } }).withDeleted();
+    reassigned = result.modifiedCount;
+  }
+
+  await Category.findByIdAndDelete(id);
+
+  res.json({
+    message: 'Category deleted successfully',
+    reassignedPosts: reassigned
+  });
+}));
+
+module.exports = router;
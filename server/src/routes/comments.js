@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Category = require('../models/Category');
+const { auth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { checkValidationResult, sanitizeInput, validatePagination, isValidObjectId } = require('../utils/validation');
+const { checkSpam, resolveCommentMode } = require('../utils/moderation');
+const { hasPermission } = require('../utils/permissions');
+const metrics = require('../utils/metrics');
+
+// Mounted at /api/posts/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Load the post the comments belong to. Comments on unpublished posts are
+// hidden like the post itself.
+const loadPost = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const post = isValidObjectId(id) && await Post.findById(id);
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
+
+  req.post = post;
+  next();
+});
+
+// Find a comment that belongs to the loaded post
+const findComment = async (req) => {
+  const { commentId } = req.params;
+
+  const comment = isValidObjectId(commentId) && await Comment.findOne({ _id: commentId, post: req.post._id });
+  if (!comment) {
+    throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+  }
+
+  return comment;
+};
+
+// Comment authors, the post owner and moderators can see unapproved comments
+const canSeeUnapproved = (req, comment) => {
+  if (!req.user) return false;
+
+  const userId = req.user._id.toString();
+  return comment.author.toString() === userId ||
+    req.post.author.toString() === userId ||
+    hasPermission(req.user, 'comment:moderate');
+};
+
+// Get comments for a post (top-level by default, or the replies to a parent)
+router.get('/', [
+  optionalAuth,
+  loadPost,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('parent').optional().isMongoId().withMessage('Invalid parent comment ID'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { page, limit, parent = null } = req.query;
+
+  const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const comments = await Comment.findForPost(req.post._id, { parent, skip, limit: limitNum });
+  const total = await Comment.countDocuments({ post: req.post._id, parent, status: 'approved' });
+
+  res.json({
+    comments,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+}));
+
+// Get a single comment
+router.get('/:commentId', [
+  optionalAuth,
+  loadPost
+], asyncHandler(async (req, res) => {
+  const comment = await findComment(req);
+
+  if (comment.status !== 'approved' && !canSeeUnapproved(req, comment)) {
+    throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+  }
+
+  await comment.populate('author', 'username profile.firstName profile.lastName');
+
+  res.json({ comment });
+}));
+
+// Add comment (or reply) to post
+router.post('/', [
+  auth,
+  requireVerifiedEmail,
+  loadPost,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+
+  body('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { content, parent: parentId } = sanitizeInput(req.body);
+
+  const category = await Category.findById(req.post.category).select('commentMode');
+  const mode = resolveCommentMode(req.post, category);
+  if (mode === 'disabled') {
+    throw new AppError('Comments are disabled for this post', 403, 'COMMENTS_DISABLED');
+  }
+
+  let parent = null;
+  if (parentId) {
+    parent = await Comment.findOne({ _id: parentId, post: req.post._id });
+    if (!parent) {
+      throw new AppError('Parent comment not found', 404, 'COMMENT_NOT_FOUND');
+    }
+    if (parent.deletedAt || parent.status !== 'approved') {
+      throw new AppError('Cannot reply to a deleted or unapproved comment', 400, 'INVALID_PARENT_COMMENT');
+    }
+  }
+
+  // Hold the comment when the post is moderated or it looks like spam
+  const spam = checkSpam(content);
+  const isHeld = mode === 'moderated' || spam.isSpam;
+  const comment = await Comment.addToPost(req.post, req.user._id, content, parent, {
+    status: isHeld ? 'pending' : 'approved',
+    moderationReason: spam.isSpam ? spam.reasons.join('; ') : undefined
+  });
+  metrics.commentsCreated.inc();
+  await comment.populate('author', 'username profile.firstName profile.lastName');
+
+  res.status(201).json({
+    message: isHeld ? 'Comment submitted for moderation' : 'Comment added successfully',
+    comment
+  });
+}));
+
+// Edit comment (author or moderator)
+router.put('/:commentId', [
+  auth,
+  loadPost,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { content } = sanitizeInput(req.body);
+  const comment = await findComment(req);
+
+  if (comment.deletedAt) {
+    throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+  }
+
+  if (comment.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'comment:moderate')) {
+    throw new AppError('You can only edit your own comments', 403, 'NOT_OWNER');
+  }
+
+  // Edits go through the same checks as new comments: on moderated posts
+  // they are reviewed again unless a moderator made them. Held edits are
+  // written together with the pending status so they are never public.
+  const category = await Category.findById(req.post.category).select('commentMode');
+  const mode = resolveCommentMode(req.post, category);
+  const spam = checkSpam(content);
+  const isHeld = spam.isSpam || (mode === 'moderated' && !hasPermission(req.user, 'comment:moderate'));
+  const editedAt = new Date();
+
+  let updated = comment;
+  if (isHeld && comment.status === 'approved') {
+    updated = await comment.setStatus('pending', {
+      reason: spam.isSpam ? spam.reasons.join('; ') : undefined,
+      changes: { content, editedAt }
+    });
+    if (!updated || updated.content !== content) {
+      throw new AppError('The comment was moderated while it was being edited. Please try again', 409, 'EDIT_CONFLICT');
+    }
+  } else {
+    comment.content = content;
+    comment.editedAt = editedAt;
+    await comment.save();
+  }
+  await updated.populate('author', 'username profile.firstName profile.lastName');
+
+  res.json({
+    message: updated.status === 'pending' ? 'Comment submitted for moderation' : 'Comment updated successfully',
+    comment: updated
+  });
+}));
+
+// Delete comment (author, post owner or moderator)
+router.delete('/:commentId', [
+  auth,
+  loadPost
+], asyncHandler(async (req, res) => {
+  const comment = await findComment(req);
+  const userId = req.user._id.toString();
+
+  const canDelete = comment.author.toString() === userId ||
+    req.post.author.toString() === userId ||
+    hasPermission(req.user, 'comment:moderate');
+
+  if (!canDelete) {
+    throw new AppError('You can only delete your own comments or comments on your posts', 403, 'NOT_OWNER');
+  }
+
+  const deleted = await comment.softDelete(req.user._id);
+
+  res.json({
+    message: 'Comment deleted successfully',
+    comment: deleted
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { pingDatabase } = require('../utils/database');
+const { isShuttingDown } = require('../utils/shutdown');
+
+const router = express.Router();
+
+// Basic health check, kept for existing clients
+router.get('/', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Liveness - the process is up and serving requests
+router.get('/live', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Readiness - the server can handle traffic: MongoDB answers a ping and the
+// process is not shutting down
+router.get('/ready', asyncHandler(async (req, res) => {
+  const database = await pingDatabase();
+  const ready = database.status === 'up' && !isShuttingDown();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'OK' : 'UNAVAILABLE',
+    timestamp: new Date().toISOString(),
+    shuttingDown: isShuttingDown(),
+    checks: { database }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const { AppError } = require('../middleware/errorHandler');
+const { renderMetrics, isValidMetricsToken } = require('../utils/metrics');
+
+const router = express.Router();
+
+// Metrics in the Prometheus text format (requires the METRICS_TOKEN bearer
+// token when one is configured)
+router.get('/', (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!isValidMetricsToken(token)) {
+    return next(new AppError('A valid metrics token is required', 401, 'METRICS_TOKEN_INVALID'));
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { auth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { checkValidationResult, sanitizeInput, validatePagination } = require('../utils/validation');
+const { hasPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Get the comment moderation queue. Moderators see every post, authors see
+// comments on their own posts.
+router.get('/comments', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'rejected']).withMessage('Invalid status'),
+  query('post').optional().isMongoId().withMessage('Invalid post ID'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { page, limit, status = 'pending', post } = req.query;
+
+  // Build query
+  const query = { status, deletedAt: null };
+  const canModerate = hasPermission(req.user, 'comment:moderate');
+
+  if (!canModerate) {
+    const ownPosts = await Post.find({ author: req.user._id }).distinct('_id');
+    query.post = { $in: ownPosts };
+  }
+
+  if (post) {
+    query.post = canModerate
+      ? post
+      : { $in: query.post.$in.filter(id => id.toString() === post) };
+  }
+
+  // Pagination
+  const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const comments = await Comment.find(query)
+    .populate('author', 'username profile.firstName profile.lastName')
+    .populate('post', 'title slug')
+    .sort({ createdAt: 1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Comment.countDocuments(query);
+
+  res.json({
+    comments,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+}));
+
+// Approve or reject a comment (moderator or post author)
+router.put('/comments/:commentId', [
+  auth,
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { status, reason } = sanitizeInput(req.body);
+
+  const comment = await Comment.findById(commentId);
+  if (!comment || comment.deletedAt) {
+    throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+  }
+
+  const post = await Post.findById(comment.post);
+  const isPostAuthor = post && post.author.toString() === req.user._id.toString();
+
+  if (!isPostAuthor && !hasPermission(req.user, 'comment:moderate')) {
+    throw new AppError('You can only moderate comments on your own posts', 403, 'NOT_OWNER');
+  }
+
+  const updated = await comment.setStatus(status, {
+    moderatorId: req.user._id,
+    reason
+  });
+
+  res.json({
+    message: status === 'approved' ? 'Comment approved' : 'Comment rejected',
+    comment: updated
+  });
+}));
+
+module.exports = router;
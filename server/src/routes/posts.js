@@ -2,65 +2,150 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
-const { auth, optionalAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const PostRevision = require('../models/PostRevision');
+const { auth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { checkValidationResult, sanitizeInput, validatePagination, validateSearchQuery } = require('../utils/validation');
+const { imageUpload } = require('../middleware/upload');
+const { checkValidationResult, sanitizeInput, validatePagination, validateSearchQuery, escapeRegExp } = require('../utils/validation');
+const { COMMENT_MODES } = require('../utils/moderation');
+const { trackView } = require('../utils/views');
+const { paginationQuery, paginate, setLinkHeader } = require('../utils/pagination');
+const { TAG_MATCH_MODES, parseTagQuery, buildTagFilter } = require('../utils/tags');
+const { takeSnapshot, getChangedFields } = require('../utils/revisions');
+const { redirectToSlug, saveWithUniqueSlug } = require('../utils/slugs');
+const { saveImage, removeImage } = require('../utils/images');
+const { getTrashRetentionDays, getPurgeDate } = require('../utils/trash');
+const { hasPermission } = require('../utils/permissions');
+const { allowFields, pickFields } = require('../utils/fields');
+const metrics = require('../utils/metrics');
 
 const router = express.Router();
 
+const POST_STATUSES = Post.schema.path('status').enumValues;
+
+// Scheduled posts must go live in the future
+const assertValidSchedule = (post) => {
+  if (post.status === 'scheduled' && (!post.publishAt || post.publishAt <= new Date())) {
+    throw new AppError('Scheduled posts need a publishAt date in the future', 400, 'INVALID_SCHEDULE');
+  }
+};
+
+// The current user may act on a post they wrote, or on any post when their
+// role grants the permission
+const isAuthorOr = (req, post, permission) => {
+  return post.author.toString() === req.user._id.toString() || hasPermission(req.user, permission);
+};
+
+// Publishing, scheduling and featuring a post need their own permissions
+const assertCanPublish = (req, post) => {
+  const publishing = (post.isNew || post.isModified('status')) && ['published', 'scheduled'].includes(post.status);
+  if (publishing && !hasPermission(req.user, 'post:publish')) {
+    throw new AppError('You do not have permission to publish posts', 403, 'PERMISSION_DENIED');
+  }
+
+  const featuring = post.isNew ? post.featured : post.isModified('featured');
+  if (featuring && !hasPermission(req.user, 'post:feature')) {
+    throw new AppError('You do not have permission to feature posts', 403, 'PERMISSION_DENIED');
+  }
+};
+
 // Get all posts with pagination and filtering
 router.get('/', [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  optionalAuth,
+  ...paginationQuery,
   query('category').optional().isMongoId().withMessage('Invalid category ID'),
+  query('includeDescendants').optional().isBoolean().withMessage('includeDescendants must be a boolean'),
   query('search').optional().isLength({ min: 2, max: 100 }).withMessage('Search query must be between 2 and 100 characters'),
-  query('status').optional().isIn(['draft', 'published', 'archived']).withMessage('Invalid status'),
+  query('status').optional().isIn(POST_STATUSES).withMessage('Invalid status'),
+  query('tag').optional().custom(value => parseTagQuery(value).length > 0).withMessage('Tag filter cannot be empty'),
+  query('tagMatch').optional().isIn(TAG_MATCH_MODES).withMessage('tagMatch must be one of: any, all'),
   checkValidationResult
 ], asyncHandler(async (req, res) => {
-  const { page, limit, category, search, status } = req.query;
+  const { category, includeDescendants, search, status, tag, tagMatch } = req.query;
   
   // Build query
   const query = {};
   
-  // Filter by status (default to published for public access)
-  if (status) {
-    query.status = status;
-  } else {
-    query.status = 'published';
+  // Filter by status (default to published for public access). Unpublished
+  // posts are only listed for their author and editors, as in GET /:id.
+  query.status = status || 'published';
+  if (query.status !== 'published') {
+    if (!req.user) {
+      throw new AppError('Sign in to list unpublished posts', 403, 'PERMISSION_DENIED');
+    }
+    if (!hasPermission(req.user, 'post:edit:any')) {
+      query.author = req.user._id;
+    }
   }
   
-  // Filter by category
+  // Filter by category (and optionally its subcategories)
   if (category) {
-    query.category = category;
+    query.category = includeDescendants === 'true'
+      ? { $in: await Category.getDescendantIds(category) }
+      : category;
+  }
+  
+  // Filter by tags (?tag=a,b matches any of them, or all with tagMatch=all)
+  if (tag) {
+    query.tags = buildTagFilter(parseTagQuery(tag), tagMatch);
   }
   
   // Search functionality
   if (search) {
-    const searchQuery = validateSearchQuery(search);
+    // Plain substring match; use /api/search for ranked full-text search
+    const searchPattern = new RegExp(escapeRegExp(validateSearchQuery(search)), 'i');
     query.$or = [
-      { title: { $regex: searchQuery, $options: 'i' } },
-      { content: { $regex: searchQuery, $options: 'i' } },
-      { tags: { $in: [new RegExp(searchQuery, 'i')] } }
+      { title: searchPattern },
+      { content: searchPattern },
+      { tags: searchPattern }
     ];
   }
   
-  // Pagination
+  // Execute query (page or cursor mode)
+  const { items: posts, pagination } = await paginate(Post, query, req.query, (postQuery) => postQuery
+    .populate('author', 'username profile.firstName profile.lastName')
+    .populate('category', 'name slug'));
+  
+  setLinkHeader(req, res, pagination);
+  res.json({ posts, pagination });
+}));
+
+// List posts in the trash. Authors see their own; admins see everyone's
+// and can filter by author.
+router.get('/trash', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('author').optional().isMongoId().withMessage('Invalid author ID'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { page, limit, author } = req.query;
+
   const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
   const skip = (pageNum - 1) * limitNum;
-  
-  // Execute query
-  const posts = await Post.find(query)
-    .populate('author', 'username profile.firstName profile.lastName')
+
+  const filter = {};
+  if (!hasPermission(req.user, 'post:delete:any')) {
+    filter.author = req.user._id;
+  } else if (author) {
+    filter.author = author;
+  }
+
+  const posts = await Post.find(filter)
+    .onlyDeleted()
+    .populate({ path: 'author', select: 'username profile.firstName profile.lastName', options: { withDeleted: true } })
     .populate('category', 'name slug')
-    .sort({ createdAt: -1 })
+    .sort({ deletedAt: -1, _id: -1 })
     .skip(skip)
     .limit(limitNum);
-  
-  // Get total count for pagination
-  const total = await Post.countDocuments(query);
-  
+
+  const total = await Post.countDocuments(filter).onlyDeleted();
+  const retentionDays = getTrashRetentionDays();
+
   res.json({
-    posts,
+    posts: posts.map(post => ({ ...post.toJSON(), purgeAt: getPurgeDate(post.deletedAt, retentionDays) })),
+    retentionDays,
     pagination: {
       page: pageNum,
       limit: limitNum,
@@ -72,6 +157,7 @@ router.get('/', [
 
 // Get single post by ID
 router.get('/:id', [
+  optionalAuth,
   query('id').isMongoId().withMessage('Invalid post ID'),
   checkValidationResult
 ], asyncHandler(async (req, res) => {
@@ -79,41 +165,52 @@ router.get('/:id', [
   
   const post = await Post.findById(id)
     .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name slug')
-    .populate('comments.user', 'username profile.firstName profile.lastName');
+    .populate('category', 'name slug');
   
-  if (!post) {
-    throw new AppError('Post not found', 404);
+  // Unpublished posts are hidden from everyone but their author and editors
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
   }
   
-  // Increment view count
-  await post.incrementViews();
+  // Count the view in the background (deduplicated per viewer)
+  trackView(post, req);
   
-  res.json({ post });
+  res.json({
+    post: post.toRenderedJSON(),
+    liked: post.isLikedBy(req.user?._id)
+  });
 }));
 
 // Get post by slug
-router.get('/slug/:slug', asyncHandler(async (req, res) => {
+router.get('/slug/:slug', optionalAuth, asyncHandler(async (req, res) => {
   const { slug } = req.params;
   
   const post = await Post.findOne({ slug, status: 'published' })
     .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name slug')
-    .populate('comments.user', 'username profile.firstName profile.lastName');
+    .populate('category', 'name slug');
   
   if (!post) {
-    throw new AppError('Post not found', 404);
+    // Old slugs redirect to the post's current slug
+    const renamed = await Post.findOne({ slugHistory: slug, status: 'published' }).select('slug');
+    if (renamed) {
+      return redirectToSlug(req, res, renamed.slug);
+    }
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
   }
   
-  // Increment view count
-  await post.incrementViews();
+  // Count the view in the background (deduplicated per viewer)
+  trackView(post, req);
   
-  res.json({ post });
+  res.json({
+    post: post.toRenderedJSON(),
+    liked: post.isLikedBy(req.user?._id)
+  });
 }));
 
 // Create new post (requires authentication)
 router.post('/', [
   auth,
+  requireVerifiedEmail,
   body('title')
     .trim()
     .isLength({ min: 3, max: 200 })
@@ -130,9 +227,14 @@ router.post('/', [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
+    .isIn(POST_STATUSES)
     .withMessage('Invalid status'),
   
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date'),
+  
   body('tags')
     .optional()
     .isArray()
@@ -149,14 +251,19 @@ router.post('/', [
     .isBoolean()
     .withMessage('Featured must be a boolean'),
   
+  body('commentMode')
+    .optional({ values: 'null' })
+    .isIn(COMMENT_MODES)
+    .withMessage('Invalid comment mode'),
+  
   checkValidationResult
 ], asyncHandler(async (req, res) => {
-  const { title, content, category, status = 'draft', tags = [], featured = false } = sanitizeInput(req.body);
+  const { title, content, category, status = 'draft', publishAt = null, tags = [], featured = false, commentMode = null } = sanitizeInput(req.body, { except: ['content'] });
   
   // Verify category exists
   const categoryExists = await Category.findById(category);
   if (!categoryExists) {
-    throw new AppError('Category not found', 404);
+    throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
   }
   
   // Create post
@@ -166,11 +273,20 @@ router.post('/', [
     author: req.user._id,
     category,
     status,
+    publishAt,
     tags,
-    featured
+    featured,
+    commentMode
   });
   
-  await post.save();
+  assertCanPublish(req, post);
+  assertValidSchedule(post);
+  const changedFields = getChangedFields(post);
+  await saveWithUniqueSlug(post);
+  await PostRevision.record(post, req.user._id, { changedFields });
+  if (post.status === 'published') {
+    metrics.postsPublished.inc({ source: 'api' });
+  }
   
   // Populate author and category for response
   await post.populate('author', 'username profile.firstName profile.lastName');
@@ -178,13 +294,14 @@ router.post('/', [
   
   res.status(201).json({
     message: 'Post created successfully',
-    post
+    post: post.toRenderedJSON()
   });
 }));
 
-// Update post (requires authentication and ownership)
+// Update post (requires authentication and ownership or post:edit:any)
 router.put('/:id', [
   auth,
+  allowFields('post'),
   body('title')
     .optional()
     .trim()
@@ -204,9 +321,14 @@ router.put('/:id', [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
+    .isIn(POST_STATUSES)
     .withMessage('Invalid status'),
   
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date'),
+  
   body('tags')
     .optional()
     .isArray()
@@ -223,32 +345,76 @@ router.put('/:id', [
     .isBoolean()
     .withMessage('Featured must be a boolean'),
   
+  body('commentMode')
+    .optional({ values: 'null' })
+    .isIn(COMMENT_MODES)
+    .withMessage('Invalid comment mode'),
+  
+  body('meta')
+    .optional()
+    .isObject()
+    .withMessage('Meta must be an object'),
+  
+  body('meta.description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Meta description cannot exceed 300 characters'),
+  
+  body('meta.keywords')
+    .optional()
+    .isArray()
+    .withMessage('Meta keywords must be an array'),
+  
+  body('meta.keywords.*')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Keyword cannot exceed 50 characters'),
+  
   checkValidationResult
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updates = sanitizeInput(req.body);
+  const updates = pickFields(sanitizeInput(req.body, { except: ['content'] }), 'post');
   
   // Find post and check ownership
   const post = await Post.findById(id);
   if (!post) {
-    throw new AppError('Post not found', 404);
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
   }
   
-  if (post.author.toString() !== req.user._id.toString()) {
-    throw new AppError('You can only edit your own posts', 403);
+  if (!isAuthorOr(req, post, 'post:edit:any')) {
+    throw new AppError('You can only edit your own posts', 403, 'NOT_OWNER');
   }
   
   // Verify category exists if updating
   if (updates.category) {
     const categoryExists = await Category.findById(updates.category);
     if (!categoryExists) {
-      throw new AppError('Category not found', 404);
+      throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
     }
   }
   
-  // Update post
-  Object.assign(post, updates);
-  await post.save();
+  // Update post, keeping the previous version in the revision history
+  const previous = takeSnapshot(post);
+  for (const [path, value] of Object.entries(updates)) {
+    post.set(path, value);
+  }
+  assertCanPublish(req, post);
+  if (post.isModified('status') || post.isModified('publishAt')) {
+    assertValidSchedule(post);
+  }
+  const changedFields = getChangedFields(post);
+  const isPublishing = post.isModified('status') && post.status === 'published';
+  await saveWithUniqueSlug(post);
+  if (isPublishing) {
+    metrics.postsPublished.inc({ source: 'api' });
+  }
+  
+  if (changedFields.length > 0) {
+    await PostRevision.record(post, req.user._id, { changedFields, previous });
+  }
   
   // Populate author and category for response
   await post.populate('author', 'username profile.firstName profile.lastName');
@@ -256,11 +422,11 @@ router.put('/:id', [
   
   res.json({
     message: 'Post updated successfully',
-    post
+    post: post.toRenderedJSON()
   });
 }));
 
-// Delete post (requires authentication and ownership)
+// Delete post (requires authentication and ownership or post:delete:any)
 router.delete('/:id', [
   auth
 ], asyncHandler(async (req, res) => {
@@ -269,97 +435,229 @@ router.delete('/:id', [
   // Find post and check ownership
   const post = await Post.findById(id);
   if (!post) {
-    throw new AppError('Post not found', 404);
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
   }
   
-  if (post.author.toString() !== req.user._id.toString()) {
-    throw new AppError('You can only delete your own posts', 403);
+  if (!isAuthorOr(req, post, 'post:delete:any')) {
+    throw new AppError('You can only delete your own posts', 403, 'NOT_OWNER');
   }
   
-  await Post.findByIdAndDelete(id);
+  // Moved to the trash; comments, revisions and files are removed when the
+  // trash is purged
+  const deleted = await Post.softDeleteById(id, req.user._id);
+  if (!deleted) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
   
   res.json({
-    message: 'Post deleted successfully'
+    message: 'Post deleted successfully',
+    deletedAt: deleted.deletedAt,
+    purgeAt: getPurgeDate(deleted.deletedAt)
   });
 }));
 
-// Like/unlike post
-router.post('/:id/like', [
+// Restore a post from the trash (author, or requires post:delete:any)
+router.post('/:id/restore', [
   auth
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
-  
-  const post = await Post.findById(id);
+
+  const post = await Post.findById(id).onlyDeleted();
   if (!post) {
-    throw new AppError('Post not found', 404);
+    throw new AppError('Post not found in trash', 404, 'POST_NOT_FOUND');
+  }
+
+  if (!isAuthorOr(req, post, 'post:delete:any')) {
+    throw new AppError('You can only restore your own posts', 403, 'NOT_OWNER');
+  }
+
+  // Posts deleted with their author come back when the author is restored
+  if (!(await User.exists({ _id: post.author }))) {
+    throw new AppError('The author of this post is deleted; restore the author first', 409, 'RESTORE_CONFLICT');
+  }
+
+  if (!(await Category.exists({ _id: post.category }))) {
+    throw new AppError('The category of this post no longer exists', 409, 'RESTORE_CONFLICT');
+  }
+
+  const restored = await Post.restoreById(id);
+  if (!restored) {
+    throw new AppError('Post not found in trash', 404, 'POST_NOT_FOUND');
   }
+
+  await restored.populate('author', 'username profile.firstName profile.lastName');
+  await restored.populate('category', 'name slug');
+
+  res.json({
+    message: 'Post restored successfully',
+    post: restored.toRenderedJSON()
+  });
+}));
+
+// Load a post the current user may edit. Runs before uploads are read so
+// refused requests are not processed.
+const loadEditablePost = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
+
+  if (!isAuthorOr(req, post, 'post:edit:any')) {
+    throw new AppError('You can only edit your own posts', 403, 'NOT_OWNER');
+  }
+
+  req.post = post;
+  next();
+});
+
+// Upload a cover image (requires authentication and ownership or
+// post:edit:any). Sent as multipart/form-data with the image in the "image"
+// field; the previous cover image is deleted.
+router.put('/:id/cover-image', [
+  auth,
+  loadEditablePost,
+  imageUpload('image', 'cover')
+], asyncHandler(async (req, res) => {
+  const { post } = req;
+
+  const previous = post.coverImage;
+  const coverImage = await saveImage(req.image, `posts/${post._id}`);
+
+  post.coverImage = coverImage;
+  try {
+    await post.save();
+  } catch (error) {
+    await removeImage(coverImage);
+    throw error;
+  }
+  await removeImage(previous);
+
+  res.json({
+    message: 'Cover image updated successfully',
+    coverImage: post.coverImage
+  });
+}));
+
+// Remove the cover image (requires authentication and ownership or
+// post:edit:any)
+router.delete('/:id/cover-image', [
+  auth,
+  loadEditablePost
+], asyncHandler(async (req, res) => {
+  const { post } = req;
+
+  const previous = post.coverImage;
+  if (!previous) {
+    throw new AppError('Post has no cover image', 404, 'IMAGE_NOT_FOUND');
+  }
+
+  post.coverImage = null;
+  await post.save();
+  await removeImage(previous);
+
+  res.json({
+    message: 'Cover image removed successfully'
+  });
+}));
+
+// Check that the current user can see the post, as in GET /:id, so hidden
+// posts cannot be liked or have their likes listed
+const loadVisiblePost = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id).select('status author');
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
+
+  next();
+});
+
+// Like/unlike post (toggle)
+router.post('/:id/like', [
+  auth,
+  loadVisiblePost
+], asyncHandler(async (req, res) => {
+  const { id } = req.params;
   
-  await post.toggleLike(req.user._id);
+  const { post, liked } = await Post.toggleLike(id, req.user._id);
+  if (!post) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
   
   res.json({
-    message: 'Post like updated',
+    message: liked ? 'Post liked successfully' : 'Post unliked successfully',
+    liked,
     likeCount: post.likeCount
   });
 }));
 
-// Add comment to post
-router.post('/:id/comments', [
+// Like post (idempotent)
+router.put('/:id/like', [
   auth,
-  body('content')
-    .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Comment must be between 1 and 1000 characters'),
-  
-  checkValidationResult
+  loadVisiblePost
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { content } = sanitizeInput(req.body);
   
-  const post = await Post.findById(id);
+  const post = await Post.like(id, req.user._id);
   if (!post) {
-    throw new AppError('Post not found', 404);
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
   }
   
-  await post.addComment(req.user._id, content);
+  res.json({
+    message: 'Post liked successfully',
+    liked: true,
+    likeCount: post.likeCount
+  });
+}));
+
+// Unlike post (idempotent)
+router.delete('/:id/like', [
+  auth,
+  loadVisiblePost
+], asyncHandler(async (req, res) => {
+  const { id } = req.params;
   
-  // Populate the new comment
-  await post.populate('comments.user', 'username profile.firstName profile.lastName');
+  const post = await Post.unlike(id, req.user._id);
+  if (!post) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
   
   res.json({
-    message: 'Comment added successfully',
-    comment: post.comments[post.comments.length - 1]
+    message: 'Post unliked successfully',
+    liked: false,
+    likeCount: post.likeCount
   });
 }));
 
-// Get posts by author
-router.get('/author/:authorId', [
+// Get users who liked a post
+router.get('/:id/likes', [
+  optionalAuth,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   checkValidationResult
 ], asyncHandler(async (req, res) => {
-  const { authorId } = req.params;
+  const { id } = req.params;
   const { page, limit } = req.query;
   
   const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
   const skip = (pageNum - 1) * limitNum;
   
-  const posts = await Post.find({ 
-    author: authorId, 
-    status: 'published' 
-  })
-    .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name slug')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limitNum);
+  const post = await Post.findById(id).select('likes status author');
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
   
-  const total = await Post.countDocuments({ 
-    author: authorId, 
-    status: 'published' 
+  // Check the full list of likes; after populating it only holds this page
+  const total = post.likes.length;
+  const liked = post.isLikedBy(req.user?._id);
+  await post.populate({
+    path: 'likes',
+    select: 'username profile.firstName profile.lastName',
+    options: { skip, limit: limitNum }
   });
   
   res.json({
-    posts,
+    users: post.likes,
+    liked,
     pagination: {
       page: pageNum,
       limit: limitNum,
@@ -369,4 +667,22 @@ router.get('/author/:authorId', [
   });
 }));
 
+// Get posts by author
+router.get('/author/:authorId', [
+  ...paginationQuery,
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { authorId } = req.params;
+  
+  const { items: posts, pagination } = await paginate(Post, {
+    author: authorId,
+    status: 'published'
+  }, req.query, (postQuery) => postQuery
+    .populate('author', 'username profile.firstName profile.lastName')
+    .populate('category', 'name slug'));
+  
+  setLinkHeader(req, res, pagination);
+  res.json({ posts, pagination });
+}));
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,176 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Category = require('../models/Category');
+const { auth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { checkValidationResult, validatePagination, isValidObjectId } = require('../utils/validation');
+const { RESTORABLE_FIELDS, getChangedFields, diffSnapshots } = require('../utils/revisions');
+const { hasPermission } = require('../utils/permissions');
+const { saveWithUniqueSlug } = require('../utils/slugs');
+
+// Mounted at /api/posts/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+// Load the post and check the user may see its history (author, or requires
+// post:edit:any)
+const loadPost = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const post = isValidObjectId(id) && await Post.findById(id);
+  if (!post) {
+    throw new AppError('Post not found', 404, 'POST_NOT_FOUND');
+  }
+
+  if (post.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'post:edit:any')) {
+    throw new AppError('You can only view the history of your own posts', 403, 'NOT_OWNER');
+  }
+
+  req.post = post;
+  next();
+});
+
+// Find a revision of the loaded post by number
+const findRevision = async (req, revision) => {
+  const found = await PostRevision.findOne({ post: req.post._id, revision })
+    .populate('editor', 'username');
+  if (!found) {
+    throw new AppError(`Revision ${revision} not found`, 404, 'REVISION_NOT_FOUND');
+  }
+
+  return found;
+};
+
+const revisionParam = param('rev').isInt({ min: 1 }).withMessage('Revision must be a positive integer').toInt();
+
+// List revisions, newest first
+router.get('/', [
+  auth,
+  loadPost,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const revisions = await PostRevision.find({ post: req.post._id })
+    .select('-snapshot')
+    .populate('editor', 'username')
+    .sort({ revision: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await PostRevision.countDocuments({ post: req.post._id });
+
+  res.json({
+    revisions,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+}));
+
+// Compare two revisions (by default the latest with the one before it)
+router.get('/diff', [
+  auth,
+  loadPost,
+  query('from').optional().isInt({ min: 1 }).withMessage('from must be a positive integer').toInt(),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a positive integer').toInt(),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  let { from, to } = req.query;
+
+  if (!to) {
+    const latest = await PostRevision.findLatest(req.post._id).select('revision');
+    if (!latest) {
+      throw new AppError('This post has no revisions', 404, 'REVISION_NOT_FOUND');
+    }
+    to = latest.revision;
+  }
+  if (!from) {
+    from = to - 1;
+  }
+
+  const [fromRevision, toRevision] = await Promise.all([
+    findRevision(req, from),
+    findRevision(req, to)
+  ]);
+
+  res.json({
+    from: fromRevision.revision,
+    to: toRevision.revision,
+    changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+  });
+}));
+
+// Get a single revision with its snapshot
+router.get('/:rev', [
+  auth,
+  loadPost,
+  revisionParam,
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const revision = await findRevision(req, req.params.rev);
+
+  res.json({ revision });
+}));
+
+// Restore the content of a revision (title, content, category, tags and
+// meta). The restore itself is recorded as a new revision.
+router.post('/:rev/restore', [
+  auth,
+  loadPost,
+  revisionParam,
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { post } = req;
+
+  if (post.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'post:edit:any')) {
+    throw new AppError('You can only edit your own posts', 403, 'NOT_OWNER');
+  }
+
+  const revision = await findRevision(req, req.params.rev);
+  const { snapshot } = revision;
+
+  if (snapshot.category && !(await Category.exists({ _id: snapshot.category }))) {
+    throw new AppError('The category of this revision no longer exists', 409, 'RESTORE_CONFLICT');
+  }
+
+  for (const field of RESTORABLE_FIELDS) {
+    if (snapshot[field] !== undefined) {
+      post.set(field, snapshot[field]);
+    }
+  }
+
+  const changedFields = getChangedFields(post);
+  if (changedFields.length === 0) {
+    return res.json({
+      message: 'Post already matches this revision',
+      post: post.toRenderedJSON()
+    });
+  }
+
+  await saveWithUniqueSlug(post);
+  const restored = await PostRevision.record(post, req.user._id, {
+    changedFields,
+    restoredFrom: revision.revision
+  });
+
+  await post.populate('author', 'username profile.firstName profile.lastName');
+  await post.populate('category', 'name slug');
+
+  res.json({
+    message: `Post restored to revision ${revision.revision}`,
+    revision: restored.revision,
+    post: post.toRenderedJSON()
+  });
+}));
+
+module.exports = router;
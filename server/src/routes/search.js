@@ -0,0 +1,114 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const Post = require('../models/Post');
+const { optionalAuth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { checkValidationResult, validatePagination, validateSearchQuery } = require('../utils/validation');
+const { parseSearchQuery, hasPositiveTerms, buildTextSearch, highlight, snippet } = require('../utils/search');
+const { normalizeTag } = require('../utils/tags');
+const { renderMarkdown } = require('../utils/markdown');
+const { hasPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+const SORTS = {
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 }
+};
+
+// Users who may edit any post can search every post; other signed-in users
+// also see their own drafts and archived posts; everyone else only sees
+// published posts
+const getVisibilityFilter = (user) => {
+  if (user && hasPermission(user, 'post:edit:any')) {
+    return {};
+  }
+
+  if (user) {
+    return { $or: [{ status: 'published' }, { author: user._id }] };
+  }
+
+  return { status: 'published' };
+};
+
+// Search posts with the text index
+router.get('/', [
+  optionalAuth,
+  query('q').isString().withMessage('Search query is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('sort').optional().isIn(Object.keys(SORTS)).withMessage('Sort must be one of: relevance, newest, oldest'),
+  query('category').optional().isMongoId().withMessage('Invalid category ID'),
+  query('author').optional().isMongoId().withMessage('Invalid author ID'),
+  query('tag').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Tag must be between 1 and 50 characters'),
+  query('status').optional().isIn(Post.schema.path('status').enumValues).withMessage('Invalid status'),
+  query('facets').optional().isBoolean().withMessage('facets must be a boolean'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { q, page, limit, sort = 'relevance', category, author, tag, status, facets } = req.query;
+
+  let searchQuery;
+  try {
+    searchQuery = validateSearchQuery(q);
+  } catch (error) {
+    throw new AppError(error.message, 400, 'INVALID_SEARCH_QUERY');
+  }
+
+  const parsed = parseSearchQuery(searchQuery);
+  if (!hasPositiveTerms(parsed)) {
+    throw new AppError('Search query must include at least one term that is not excluded', 400, 'INVALID_SEARCH_QUERY');
+  }
+  const textSearch = buildTextSearch(parsed);
+
+  // Filters narrow the visible posts and never widen them. Aggregations do
+  // not cast, so IDs are converted up front.
+  const conditions = [getVisibilityFilter(req.user)];
+  if (category) conditions.push({ category: new mongoose.Types.ObjectId(category) });
+  if (author) conditions.push({ author: new mongoose.Types.ObjectId(author) });
+  if (tag) conditions.push({ tags: normalizeTag(tag) });
+  if (status) conditions.push({ status });
+  const filter = { $and: conditions };
+
+  const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [posts, facetCounts] = await Promise.all([
+    Post.search(textSearch, filter, SORTS[sort])
+      .skip(skip)
+      .limit(limitNum),
+    Post.getSearchFacets(textSearch, filter)
+  ]);
+
+  const results = posts.map(post => ({
+    ...post.toJSON(),
+    score: post.get('score'),
+    highlights: {
+      title: highlight(post.title, parsed),
+      content: snippet(renderMarkdown(post.content).text, parsed)
+    }
+  }));
+
+  const { total, ...facetLists } = facetCounts;
+
+  res.json({
+    query: {
+      q: searchQuery,
+      terms: parsed.terms,
+      phrases: parsed.phrases,
+      excluded: parsed.excluded,
+      sort
+    },
+    results,
+    ...(facets === 'false' ? {} : { facets: facetLists }),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { query } = require('express-validator');
+const Post = require('../models/Post');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { checkValidationResult, validatePagination } = require('../utils/validation');
+const { paginationQuery, paginate, setLinkHeader } = require('../utils/pagination');
+const { normalizeTag } = require('../utils/tags');
+
+const router = express.Router();
+
+// Get all tags used by published posts with their usage counts
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('sort').optional().isIn(['count', 'name']).withMessage('Sort must be one of: count, name'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { page, limit, sort = 'count' } = req.query;
+
+  const { page: pageNum, limit: limitNum } = validatePagination(page, limit || 50);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [tags, total] = await Promise.all([
+    Post.getTagCounts({ sort, skip, limit: limitNum }),
+    Post.countTags()
+  ]);
+
+  res.json({
+    tags,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+}));
+
+// Suggest tags starting with a prefix, most used first
+router.get('/autocomplete', [
+  query('q')
+    .isString()
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Prefix must be between 1 and 50 characters'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { q, limit = 10 } = req.query;
+
+  const tags = await Post.getTagCounts({ prefix: q, limit: parseInt(limit) });
+
+  res.json({ tags });
+}));
+
+// Get the published posts for a tag
+router.get('/:tag', [
+  ...paginationQuery,
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  const filter = { tags: tag, status: 'published' };
+
+  const postCount = tag ? await Post.countDocuments(filter) : 0;
+  if (postCount === 0) {
+    throw new AppError('Tag not found', 404, 'TAG_NOT_FOUND');
+  }
+
+  const { items: posts, pagination } = await paginate(Post, filter, req.query, (postQuery) => postQuery
+    .populate('author', 'username profile.firstName profile.lastName')
+    .populate('category', 'name slug'));
+
+  setLinkHeader(req, res, pagination);
+  res.json({
+    tag: { name: tag, postCount },
+    posts,
+    pagination
+  });
+}));
+
+module.exports = router;
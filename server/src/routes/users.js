@@ -2,22 +2,34 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
-const { auth, adminAuth } = require('../middleware/auth');
+const ViewHistory = require('../models/ViewHistory');
+const { auth, requirePermission } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { checkValidationResult, sanitizeInput, validatePagination } = require('../utils/validation');
+const { imageUpload } = require('../middleware/upload');
+const { checkValidationResult, sanitizeInput, validatePagination, escapeRegExp } = require('../utils/validation');
+const { paginationQuery, paginate, setLinkHeader } = require('../utils/pagination');
+const { saveImage, removeImage } = require('../utils/images');
+const { getTrashRetentionDays, getPurgeDate } = require('../utils/trash');
+const { PERMISSIONS, getRoleNames, getPermissions, isKnownRole, hasPermission, canAssignRole } = require('../utils/permissions');
+const { allowFields, pickFields } = require('../utils/fields');
 
 const router = express.Router();
 
-// Get all users (admin only)
+// The current user may act on the account with id when it is their own or
+// their role grants the permission
+const isSelfOr = (req, id, permission) => {
+  return req.user._id.toString() === id || hasPermission(req.user, permission);
+};
+
+// Get all users (requires user:view)
 router.get('/', [
-  adminAuth,
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  requirePermission('user:view'),
+  ...paginationQuery,
   query('search').optional().isLength({ min: 2, max: 100 }).withMessage('Search query must be between 2 and 100 characters'),
-  query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+  query('role').optional().custom(isKnownRole).withMessage('Invalid role'),
   checkValidationResult
 ], asyncHandler(async (req, res) => {
-  const { page, limit, search, role } = req.query;
+  const { search, role } = req.query;
   
   // Build query
   const query = {};
@@ -27,30 +39,63 @@ router.get('/', [
   }
   
   if (search) {
+    // Plain substring match; the input is never used as a pattern
+    const searchPattern = new RegExp(escapeRegExp(search), 'i');
     query.$or = [
-      { username: { $regex: search, $options: 'i' } },
-      { email: { $regex: search, $options: 'i' } },
-      { 'profile.firstName': { $regex: search, $options: 'i' } },
-      { 'profile.lastName': { $regex: search, $options: 'i' } }
+      { username: searchPattern },
+      { email: searchPattern },
+      { 'profile.firstName': searchPattern },
+      { 'profile.lastName': searchPattern }
     ];
   }
   
-  // Pagination
+  // Execute query (page or cursor mode)
+  const { items: users, pagination } = await paginate(User, query, req.query, (userQuery) => userQuery
+    .select('-password'));
+  
+  setLinkHeader(req, res, pagination);
+  res.json({ users, pagination });
+}));
+
+// List the configured roles and the permissions they grant (requires
+// user:manage)
+router.get('/roles', [
+  requirePermission('user:manage')
+], (req, res) => {
+  res.json({
+    roles: getRoleNames().map(name => ({
+      name,
+      permissions: getPermissions(name),
+      assignable: canAssignRole(req.user, name)
+    })),
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// List users in the trash (requires user:manage)
+router.get('/trash', [
+  requirePermission('user:manage'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  checkValidationResult
+], asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
   const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
   const skip = (pageNum - 1) * limitNum;
-  
-  // Execute query
-  const users = await User.find(query)
-    .select('-password')
-    .sort({ createdAt: -1 })
+
+  const users = await User.find()
+    .onlyDeleted()
+    .sort({ deletedAt: -1, _id: -1 })
     .skip(skip)
     .limit(limitNum);
-  
-  // Get total count for pagination
-  const total = await User.countDocuments(query);
-  
+
+  const total = await User.countDocuments().onlyDeleted();
+  const retentionDays = getTrashRetentionDays();
+
   res.json({
-    users,
+    users: users.map(user => ({ ...user.getPublicProfile(), purgeAt: getPurgeDate(user.deletedAt, retentionDays) })),
+    retentionDays,
     pagination: {
       page: pageNum,
       limit: limitNum,
@@ -68,27 +113,28 @@ router.get('/:id', [
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  // Users can only view their own profile or admins can view any
-  if (req.user.role !== 'admin' && req.user._id.toString() !== id) {
-    throw new AppError('Access denied', 403);
+  // Users can only view their own profile unless they may view any
+  if (!isSelfOr(req, id, 'user:view')) {
+    throw new AppError('Access denied', 403, 'PERMISSION_DENIED');
   }
   
   const user = await User.findById(id).select('-password');
   if (!user) {
-    throw new AppError('User not found', 404);
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
   
   res.json({ user });
 }));
 
-// Get user profile with posts
+// Get user profile with posts. Profiles are public, so only public fields
+// of the account are returned.
 router.get('/:id/profile', asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { page, limit } = req.query;
   
-  const user = await User.findById(id).select('-password');
+  const user = await User.findById(id).select('username profile createdAt');
   if (!user) {
-    throw new AppError('User not found', 404);
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
   
   // Get user's published posts
@@ -137,9 +183,10 @@ router.get('/:id/profile', asyncHandler(async (req, res) => {
   });
 }));
 
-// Update user (admin or self)
+// Update user (self, or requires user:manage)
 router.put('/:id', [
   auth,
+  allowFields('user'),
   body('firstName')
     .optional()
     .trim()
@@ -160,7 +207,7 @@ router.put('/:id', [
   
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
+    .custom(isKnownRole)
     .withMessage('Invalid role'),
   
   body('isActive')
@@ -171,88 +218,218 @@ router.put('/:id', [
   checkValidationResult
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updates = sanitizeInput(req.body);
+  // Role and active status need user:manage (see utils/fields)
+  const updates = pickFields(sanitizeInput(req.body), 'user');
   
   // Check permissions
-  if (req.user.role !== 'admin' && req.user._id.toString() !== id) {
-    throw new AppError('You can only update your own profile', 403);
+  if (!hasPermission(req.user, 'user:manage') && req.user._id.toString() !== id) {
+    throw new AppError('You can only update your own profile', 403, 'NOT_OWNER');
   }
   
-  // Only admins can change roles and active status
-  if (updates.role && req.user.role !== 'admin') {
-    throw new AppError('Only admins can change user roles', 403);
+  const user = await User.findById(id);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
   
-  if (updates.isActive !== undefined && req.user.role !== 'admin') {
-    throw new AppError('Only admins can change user active status', 403);
+  // Roles can only be handed out, or taken away, by users who hold every
+  // permission involved
+  if (updates.role && updates.role !== user.role &&
+      (!canAssignRole(req.user, updates.role) || !canAssignRole(req.user, user.role))) {
+    throw new AppError('You cannot grant or revoke permissions you do not have', 403, 'PERMISSION_DENIED');
   }
   
-  const user = await User.findById(id);
-  if (!user) {
-    throw new AppError('User not found', 404);
-  }
+  const wasActive = user.isActive;
   
   // Update user
   if (updates.firstName !== undefined) user.profile.firstName = updates.firstName;
   if (updates.lastName !== undefined) user.profile.lastName = updates.lastName;
   if (updates.bio !== undefined) user.profile.bio = updates.bio;
-  if (updates.role && req.user.role === 'admin') user.role = updates.role;
-  if (updates.isActive !== undefined && req.user.role === 'admin') user.isActive = updates.isActive;
+  if (updates.role) user.role = updates.role;
+  if (updates.isActive !== undefined) user.isActive = updates.isActive;
   
   await user.save();
   
+  // A deactivated user's tokens must stop working immediately
+  if (wasActive && !user.isActive) {
+    await User.revokeTokens(user._id, 'revoked');
+  }
+  
   res.json({
     message: 'User updated successfully',
     user: user.getPublicProfile()
   });
 }));
 
-// Delete user (admin only)
+// Load a user that the current user may change (self, or requires
+// user:manage). Runs before uploads are read so refused requests are not
+// processed.
+const loadEditableUser = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!isSelfOr(req, id, 'user:manage')) {
+    throw new AppError('You can only update your own profile', 403, 'NOT_OWNER');
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  req.targetUser = user;
+  next();
+});
+
+// Upload an avatar (self, or requires user:manage). Sent as multipart/form-data with the
+// image in the "avatar" field; the previous avatar is deleted.
+router.put('/:id/avatar', [
+  auth,
+  loadEditableUser,
+  imageUpload('avatar', 'avatar')
+], asyncHandler(async (req, res) => {
+  const user = req.targetUser;
+
+  const previous = user.profile.avatar;
+  const avatar = await saveImage(req.image, `avatars/${user._id}`);
+
+  user.profile.avatar = avatar;
+  try {
+    await user.save();
+  } catch (error) {
+    await removeImage(avatar);
+    throw error;
+  }
+  await removeImage(previous);
+
+  res.json({
+    message: 'Avatar updated successfully',
+    avatar: user.profile.avatar
+  });
+}));
+
+// Remove the avatar (self, or requires user:manage)
+router.delete('/:id/avatar', [
+  auth,
+  loadEditableUser
+], asyncHandler(async (req, res) => {
+  const user = req.targetUser;
+
+  const previous = user.profile.avatar;
+  if (!previous) {
+    throw new AppError('User has no avatar', 404, 'IMAGE_NOT_FOUND');
+  }
+
+  user.profile.avatar = null;
+  await user.save();
+  await removeImage(previous);
+
+  res.json({
+    message: 'Avatar removed successfully'
+  });
+}));
+
+// Delete user (requires user:manage)
+// The user is moved to the trash. Pass reassignTo to hand their posts to
+// another user; otherwise the posts go to the trash with them.
 router.delete('/:id', [
-  adminAuth
+  requirePermission('user:manage'),
+  query('reassignTo').optional().isMongoId().withMessage('Invalid user ID to reassign posts to'),
+  checkValidationResult
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { reassignTo } = req.query;
   
   // Prevent admin from deleting themselves
   if (req.user._id.toString() === id) {
-    throw new AppError('You cannot delete your own account', 400);
+    throw new AppError('You cannot delete your own account', 400, 'CANNOT_DELETE_SELF');
   }
   
   const user = await User.findById(id);
   if (!user) {
-    throw new AppError('User not found', 404);
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  
+  if (reassignTo) {
+    if (reassignTo === id) {
+      throw new AppError('Posts cannot be reassigned to the user being deleted', 400, 'INVALID_REASSIGNMENT');
+    }
+    if (!(await User.exists({ _id: reassignTo }))) {
+      throw new AppError('User to reassign posts to not found', 404, 'USER_NOT_FOUND');
+    }
   }
   
-  // Delete user's posts
-  await Post.deleteMany({ author: id });
+  // Sign the user out everywhere before they disappear from queries
+  await User.revokeTokens(id, 'revoked');
+  
+  const deleted = await User.softDeleteById(id, req.user._id);
+  if (!deleted) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
   
-  // Delete user
-  await User.findByIdAndDelete(id);
+  // Posts already in the trash move too, so restoring them keeps working
+  const { modifiedCount } = reassignTo
+    ? await Post.updateMany({ author: id }, { $set: { author: reassignTo } }).withDeleted()
+    : await Post.updateMany(
+      { author: id, deletedAt: null },
+      { $set: { deletedAt: deleted.deletedAt, deletedBy: req.user._id } }
+    );
   
   res.json({
-    message: 'User deleted successfully'
+    message: 'User deleted successfully',
+    posts: reassignTo
+      ? { action: 'reassigned', reassignedTo: reassignTo, count: modifiedCount }
+      : { action: 'deleted', count: modifiedCount },
+    deletedAt: deleted.deletedAt,
+    purgeAt: getPurgeDate(deleted.deletedAt)
   });
 }));
 
-// Get user's posts (admin or self)
+// Restore a user from the trash (requires user:manage). Posts deleted along with the
+// user are restored too.
+router.post('/:id/restore', [
+  requirePermission('user:manage')
+], asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id).onlyDeleted();
+  if (!user) {
+    throw new AppError('User not found in trash', 404, 'USER_NOT_FOUND');
+  }
+
+  const restored = await User.restoreById(id);
+  if (!restored) {
+    throw new AppError('User not found in trash', 404, 'USER_NOT_FOUND');
+  }
+
+  const { modifiedCount } = await Post.updateMany(
+    { author: id, deletedAt: user.deletedAt },
+    { $set: { deletedAt: null, deletedBy: null } }
+  );
+
+  res.json({
+    message: 'User restored successfully',
+    user: restored.getPublicProfile(),
+    restoredPosts: modifiedCount
+  });
+}));
+
+// Get user's posts (self, or requires user:view)
 router.get('/:id/posts', [
   auth,
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['draft', 'published', 'archived']).withMessage('Invalid status'),
+  ...paginationQuery,
+  query('status').optional().isIn(Post.schema.path('status').enumValues).withMessage('Invalid status'),
   checkValidationResult
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { page, limit, status } = req.query;
+  const { status } = req.query;
   
   // Check permissions
-  if (req.user.role !== 'admin' && req.user._id.toString() !== id) {
-    throw new AppError('Access denied', 403);
+  if (!isSelfOr(req, id, 'user:view')) {
+    throw new AppError('Access denied', 403, 'PERMISSION_DENIED');
   }
   
   const user = await User.findById(id);
   if (!user) {
-    throw new AppError('User not found', 404);
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
   
   // Build query
@@ -261,43 +438,31 @@ router.get('/:id/posts', [
     query.status = status;
   }
   
-  // Pagination
-  const { page: pageNum, limit: limitNum } = validatePagination(page, limit);
-  const skip = (pageNum - 1) * limitNum;
-  
-  const posts = await Post.find(query)
-    .populate('category', 'name slug')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limitNum);
-  
-  const total = await Post.countDocuments(query);
+  // Execute query (page or cursor mode)
+  const { items: posts, pagination } = await paginate(Post, query, req.query, (postQuery) => postQuery
+    .populate('category', 'name slug'));
   
-  res.json({
-    posts,
-    pagination: {
-      page: pageNum,
-      limit: limitNum,
-      total,
-      pages: Math.ceil(total / limitNum)
-    }
-  });
+  setLinkHeader(req, res, pagination);
+  res.json({ posts, pagination });
 }));
 
-// Get user statistics (admin or self)
+// Get user statistics (self, or requires user:view)
 router.get('/:id/stats', [
-  auth
+  auth,
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+  checkValidationResult
 ], asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const days = parseInt(req.query.days) || 30;
   
   // Check permissions
-  if (req.user.role !== 'admin' && req.user._id.toString() !== id) {
-    throw new AppError('Access denied', 403);
+  if (!isSelfOr(req, id, 'user:view')) {
+    throw new AppError('Access denied', 403, 'PERMISSION_DENIED');
   }
   
   const user = await User.findById(id);
   if (!user) {
-    throw new AppError('User not found', 404);
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
   
   // Get user statistics
@@ -309,7 +474,7 @@ router.get('/:id/stats', [
         totalPosts: { $sum: 1 },
         totalViews: { $sum: '$views' },
         totalLikes: { $sum: { $size: '$likes' } },
-        totalComments: { $sum: { $size: '$comments' } },
+        totalComments: { $sum: '$commentCount' },
         publishedPosts: {
           $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] }
         },
@@ -333,9 +498,13 @@ router.get('/:id/stats', [
     archivedPosts: 0
   };
   
+  // Daily views for trend charts
+  const viewHistory = await ViewHistory.getAuthorTrend(user._id, days);
+  
   res.json({
     user: user.getPublicProfile(),
-    stats: userStats
+    stats: userStats,
+    viewHistory
   });
 }));
 
@@ -1,19 +1,48 @@
 const { app, connectDB } = require('./app');
+const { getSchedulerConfig, startScheduler } = require('./utils/scheduler');
+const { shutdown } = require('./utils/shutdown');
+const { logger } = require('./utils/logger');
 
 const PORT = process.env.PORT || 5000;
 
+// Drain requests and close connections before exiting on SIGTERM or SIGINT
+const handleSignals = (server) => {
+  const onSignal = (signal) => {
+    shutdown(server, { signal })
+      .then(() => process.exit(0))
+      .catch((error) => {
+        logger.error('Shutdown failed', { err: error });
+        process.exit(1);
+      });
+  };
+
+  process.once('SIGTERM', onSignal);
+  process.once('SIGINT', onSignal);
+};
+
 const startServer = async () => {
   try {
-    // Connect to database
-    await connectDB();
-    
-    // Start server
-    app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
-      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    // Start server. Liveness answers right away; readiness waits for the
+    // database connection.
+    const server = app.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`, {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || 'development'
+      });
     });
+    handleSignals(server);
+
+    // Connect to database, retrying with backoff
+    await connectDB();
+
+    // Publish scheduled posts and run other background jobs
+    if (getSchedulerConfig().enabled) {
+      startScheduler();
+    }
+
+    return server;
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { err: error });
     process.exit(1);
   }
 };
@@ -23,4 +52,4 @@ if (require.main === module) {
   startServer();
 }
 
-module.exports = { startServer }; 
\ No newline at end of file
+module.exports = { startServer };
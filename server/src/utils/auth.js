@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { logger } = require('./logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
 
 // Generate JWT token
 const generateToken = (user) => {
@@ -11,7 +13,8 @@ const generateToken = (user) => {
       userId: user._id,
       email: user.email,
       username: user.username,
-      role: user.role
+      role: user.role,
+      tokenVersion: user.tokenVersion || 0
     };
 
     const token = jwt.sign(payload, JWT_SECRET, {
@@ -22,7 +25,7 @@ const generateToken = (user) => {
 
     return token;
   } catch (error) {
-    console.error('Token generation error:', error);
+    logger.error('Token generation error', { err: error });
     throw new Error('Failed to generate token');
   }
 };
@@ -33,7 +36,7 @@ const verifyToken = (token) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     return decoded;
   } catch (error) {
-    console.error('Token verification error:', error);
+    logger.warn('Token verification error', { err: error });
     throw error;
   }
 };
@@ -43,7 +46,7 @@ const decodeToken = (token) => {
   try {
     return jwt.decode(token);
   } catch (error) {
-    console.error('Token decode error:', error);
+    logger.warn('Token decode error', { err: error });
     throw error;
   }
 };
@@ -51,17 +54,30 @@ const decodeToken = (token) => {
 // Generate refresh token
 const generateRefreshToken = (user) => {
   try {
+    // Only the hash is persisted (see models/RefreshToken), the raw value
+    // goes to the client
     const refreshToken = crypto.randomBytes(40).toString('hex');
     
-    // In a real app, you'd store this in the database
-    // For now, we'll just return it
     return refreshToken;
   } catch (error) {
-    console.error('Refresh token generation error:', error);
+    logger.error('Refresh token generation error', { err: error });
     throw new Error('Failed to generate refresh token');
   }
 };
 
+// Hash an opaque token for storage and lookup
+const hashToken = (token) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(token))
+    .digest('hex');
+};
+
+// Get refresh token expiration date from now
+const getRefreshTokenExpiration = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+};
+
 // Generate password reset token
 const generatePasswordResetToken = () => {
   try {
@@ -76,7 +92,7 @@ const generatePasswordResetToken = () => {
       hashedToken
     };
   } catch (error) {
-    console.error('Password reset token generation error:', error);
+    logger.error('Password reset token generation error', { err: error });
     throw new Error('Failed to generate password reset token');
   }
 };
@@ -91,7 +107,7 @@ const verifyPasswordResetToken = (resetToken, hashedToken) => {
     
     return calculatedHash === hashedToken;
   } catch (error) {
-    console.error('Password reset token verification error:', error);
+    logger.warn('Password reset token verification error', { err: error });
     return false;
   }
 };
@@ -110,7 +126,7 @@ const generateEmailVerificationToken = (user) => {
       hashedToken
     };
   } catch (error) {
-    console.error('Email verification token generation error:', error);
+    logger.error('Email verification token generation error', { err: error });
     throw new Error('Failed to generate email verification token');
   }
 };
@@ -126,7 +142,7 @@ const isTokenExpired = (token) => {
     const currentTime = Math.floor(Date.now() / 1000);
     return decoded.exp < currentTime;
   } catch (error) {
-    console.error('Token expiration check error:', error);
+    logger.warn('Token expiration check error', { err: error });
     return true;
   }
 };
@@ -141,7 +157,7 @@ const getTokenExpiration = (token) => {
     
     return new Date(decoded.exp * 1000);
   } catch (error) {
-    console.error('Get token expiration error:', error);
+    logger.warn('Get token expiration error', { err: error });
     return null;
   }
 };
@@ -151,6 +167,8 @@ module.exports = {
   verifyToken,
   decodeToken,
   generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiration,
   generatePasswordResetToken,
   verifyPasswordResetToken,
   generateEmailVerificationToken,
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const readInteger = (value, fallback, min) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) || parsed < min ? fallback : parsed;
+};
+
+// Read the database settings from the environment
+const getDatabaseConfig = () => ({
+  uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-testing',
+  // Attempts after the first failed connection at startup
+  retries: readInteger(process.env.MONGODB_CONNECT_RETRIES, 5, 0),
+  retryDelayMs: readInteger(process.env.MONGODB_RETRY_DELAY_MS, 1000, 1),
+  maxRetryDelayMs: readInteger(process.env.MONGODB_RETRY_MAX_DELAY_MS, 30000, 1),
+  pingTimeoutMs: readInteger(process.env.MONGODB_PING_TIMEOUT_MS, 2000, 1)
+});
+
+// Delay before the given retry, doubling from retryDelayMs up to maxRetryDelayMs
+const getRetryDelay = (retry, { retryDelayMs, maxRetryDelayMs }) =>
+  Math.min(retryDelayMs * 2 ** (retry - 1), maxRetryDelayMs);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connect to MongoDB, retrying with exponential backoff. Throws the last
+// connection error once the retries run out.
+const connectDB = async (options = {}) => {
+  const config = { ...getDatabaseConfig(), ...options };
+  const wait = options.wait || sleep;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await mongoose.connect(config.uri);
+      logger.info('MongoDB connected successfully', { attempt });
+      return mongoose.connection;
+    } catch (error) {
+      if (attempt > config.retries) {
+        logger.error('MongoDB connection failed', { attempt, err: error });
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, config);
+      logger.warn('MongoDB connection failed, retrying', { attempt, delayMs, err: error });
+      await wait(delayMs);
+    }
+  }
+};
+
+// Ping MongoDB and report how long it took to answer
+const pingDatabase = async ({ timeoutMs = getDatabaseConfig().pingTimeoutMs } = {}) => {
+  const connection = mongoose.connection;
+  if (connection.readyState !== 1) {
+    return { status: 'down', error: 'Not connected' };
+  }
+
+  const started = process.hrtime.bigint();
+  let timer;
+  try {
+    await Promise.race([
+      connection.db.admin().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Ping timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { status: 'up', latencyMs: Number(process.hrtime.bigint() - started) / 1e6 };
+  } catch (error) {
+    return { status: 'down', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Log connection losses after startup. The driver reconnects by itself;
+// failed attempts to connect are logged by connectDB().
+let wasConnected = false;
+mongoose.connection.on('connected', () => { wasConnected = true; });
+mongoose.connection.on('disconnected', () => {
+  if (wasConnected) {
+    wasConnected = false;
+    logger.warn('MongoDB disconnected');
+  }
+});
+mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+
+module.exports = {
+  getDatabaseConfig,
+  getRetryDelay,
+  connectDB,
+  pingDatabase
+};
@@ -0,0 +1,125 @@
+const { hasPermission } = require('./permissions');
+const { AppError } = require('../middleware/errorHandler');
+
+// Fields clients may write through each update route. Everything else in the
+// body, such as author, slug or counters, is rejected. A field naming a
+// permission is only writable by roles that grant it; `fields` lists what a
+// nested object accepts.
+const WRITABLE_FIELDS = {
+  post: {
+    title: {},
+    content: {},
+    category: {},
+    status: {},
+    publishAt: {},
+    tags: {},
+    commentMode: {},
+    featured: { permission: 'post:feature' },
+    meta: { fields: { description: {}, keywords: {} } }
+  },
+  user: {
+    firstName: {},
+    lastName: {},
+    bio: {},
+    role: { permission: 'user:manage' },
+    isActive: { permission: 'user:manage' }
+  },
+  profile: {
+    firstName: {},
+    lastName: {},
+    bio: {}
+  }
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const getWritableFields = (resource) => {
+  const fields = WRITABLE_FIELDS[resource];
+  if (!fields) {
+    throw new Error(`Unknown resource: ${resource}`);
+  }
+  return fields;
+};
+
+// Compare a request body with the writable fields of a resource. Returns the
+// fields that may not be written at all and those the user's role may not
+// write, as dotted paths.
+const checkFields = (data, resource, user, fields = getWritableFields(resource), prefix = '') => {
+  const result = { invalid: [], forbidden: [] };
+
+  if (!isPlainObject(data)) {
+    if (data !== undefined) {
+      result.invalid.push({ field: prefix.slice(0, -1), message: 'Must be an object' });
+    }
+    return result;
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    const path = `${prefix}${key}`;
+    const field = Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : null;
+
+    if (!field) {
+      result.invalid.push({ field: path, message: 'Unknown field' });
+    } else if (field.permission && !hasPermission(user, field.permission)) {
+      result.forbidden.push({ field: path, message: `Requires permission ${field.permission}` });
+    } else if (field.fields && value !== null) {
+      const nested = checkFields(value, resource, user, field.fields, `${path}.`);
+      result.invalid.push(...nested.invalid);
+      result.forbidden.push(...nested.forbidden);
+    }
+  }
+
+  return result;
+};
+
+// Pick the writable fields of a resource from a body. Nested fields become
+// dotted paths, so setting them on a document keeps the other nested values.
+const pickFields = (data, resource, fields = getWritableFields(resource), prefix = '') => {
+  const picked = {};
+  if (!isPlainObject(data)) {
+    return picked;
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!Object.prototype.hasOwnProperty.call(fields, key) || value === undefined) {
+      continue;
+    }
+
+    if (fields[key].fields && isPlainObject(value)) {
+      Object.assign(picked, pickFields(value, resource, fields[key].fields, `${prefix}${key}.`));
+    } else {
+      picked[`${prefix}${key}`] = value;
+    }
+  }
+
+  return picked;
+};
+
+const toFieldErrors = (errors) => errors.map(({ field, message }) => ({ field, location: 'body', message }));
+
+// Reject bodies with fields outside the resource's allow-list. Must run
+// after auth, since some fields depend on the user's permissions.
+const allowFields = (resource) => {
+  getWritableFields(resource);
+
+  return (req, res, next) => {
+    const { invalid, forbidden } = checkFields(req.body, resource, req.user);
+
+    if (invalid.length > 0) {
+      return next(new AppError('Validation failed', 400, 'VALIDATION_FAILED', toFieldErrors(invalid)));
+    }
+
+    if (forbidden.length > 0) {
+      return next(new AppError('You do not have permission to change these fields', 403, 'PERMISSION_DENIED', toFieldErrors(forbidden)));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  WRITABLE_FIELDS,
+  checkFields,
+  pickFields,
+  allowFields
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { validateFileUpload } = require('./validation');
+const { getStorage } = require('./storage');
+const { logger } = require('./logger');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Stored images are re-encoded, which also drops any metadata such as GPS
+// coordinates in the original
+const OUTPUT_TYPE = 'image/webp';
+
+// Leading bytes that identify each allowed format
+const SIGNATURES = [
+  { type: 'image/jpeg', parts: [[0, [0xff, 0xd8, 0xff]]] },
+  { type: 'image/png', parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  { type: 'image/gif', parts: [[0, 'GIF87a']] },
+  { type: 'image/gif', parts: [[0, 'GIF89a']] },
+  { type: 'image/webp', parts: [[0, 'RIFF'], [8, 'WEBP']] }
+];
+
+// Sizes images are stored at. The main image is scaled to fit; thumbnails
+// are cropped to fill their box unless a fit is given.
+const IMAGE_PRESETS = {
+  avatar: {
+    width: 512,
+    height: 512,
+    fit: 'cover',
+    thumbnails: {
+      small: { width: 64, height: 64 },
+      medium: { width: 128, height: 128 }
+    }
+  },
+  cover: {
+    width: 1600,
+    height: 1600,
+    fit: 'inside',
+    thumbnails: {
+      small: { width: 400, height: 225 },
+      medium: { width: 800, height: 450 }
+    }
+  }
+};
+
+// Read the largest accepted upload from the environment, in bytes
+const getMaxImageSize = () => {
+  const megabytes = parseFloat(process.env.UPLOAD_MAX_SIZE_MB);
+  return Math.floor((Number.isNaN(megabytes) || megabytes <= 0 ? 5 : megabytes) * 1024 * 1024);
+};
+
+// Check whether a buffer holds the given bytes at an offset
+const hasBytes = (buffer, offset, expected) => {
+  const bytes = typeof expected === 'string' ? Buffer.from(expected, 'ascii') : Buffer.from(expected);
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+};
+
+// Work out the image type from the file content, or null when it is not an
+// allowed image. The mime type sent by the client is never trusted.
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  const match = SIGNATURES.find(({ parts }) => parts.every(([offset, bytes]) => hasBytes(buffer, offset, bytes)));
+  return match ? match.type : null;
+};
+
+// Validate an uploaded file by its content. Returns the detected type.
+const validateImage = (file) => {
+  const mimetype = file ? detectImageType(file.buffer) : null;
+  if (file && !mimetype) {
+    throw new Error(`File content is not a supported image. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`);
+  }
+
+  validateFileUpload(file && { ...file, mimetype }, ALLOWED_IMAGE_TYPES, getMaxImageSize());
+  return mimetype;
+};
+
+// Resize an image into a box, honouring its EXIF orientation
+const resize = async (buffer, { width, height, fit = 'cover' }) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width, height, fit, withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height, size: info.size };
+};
+
+// Validate an uploaded image and render the sizes of a preset. Nothing is
+// stored yet; pass the result to saveImage.
+const processImage = async (file, presetName) => {
+  const preset = IMAGE_PRESETS[presetName];
+  if (!preset) {
+    throw new Error(`Unknown image preset: ${presetName}`);
+  }
+
+  validateImage(file);
+
+  try {
+    const main = await resize(file.buffer, preset);
+    const thumbnails = [];
+    for (const [name, size] of Object.entries(preset.thumbnails)) {
+      thumbnails.push({ name, ...(await resize(file.buffer, size)) });
+    }
+
+    return { main, thumbnails };
+  } catch (error) {
+    throw new Error('Image could not be processed');
+  }
+};
+
+// Store a processed image under a key prefix (such as "avatars/<userId>").
+// Returns the stored image as kept on documents.
+const saveImage = async ({ main, thumbnails }, prefix) => {
+  const storage = getStorage();
+  const id = crypto.randomBytes(12).toString('hex');
+  const variants = [{ name: null, ...main }, ...thumbnails];
+
+  const saved = [];
+  try {
+    for (const variant of variants) {
+      const key = `${prefix}/${id}${variant.name ? `-${variant.name}` : ''}.webp`;
+      const { url } = await storage.save(key, variant.buffer, { contentType: OUTPUT_TYPE });
+      saved.push({ name: variant.name, key, url, width: variant.width, height: variant.height, size: variant.size });
+    }
+  } catch (error) {
+    // Do not leave part of an image behind
+    await Promise.allSettled(saved.map(({ key }) => storage.remove(key)));
+    throw error;
+  }
+
+  const [stored, ...storedThumbnails] = saved;
+  return {
+    key: stored.key,
+    url: stored.url,
+    contentType: OUTPUT_TYPE,
+    width: stored.width,
+    height: stored.height,
+    size: stored.size,
+    thumbnails: storedThumbnails.map(({ name, key, url, width, height }) => ({ name, key, url, width, height }))
+  };
+};
+
+// Delete a stored image and its thumbnails. Failures are logged rather than
+// thrown, so cleanup never fails the request that triggered it.
+const removeImage = async (image) => {
+  if (!image || !image.key) return;
+
+  const storage = getStorage();
+  const keys = [image.key, ...(image.thumbnails || []).map(thumbnail => thumbnail.key)];
+  const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error('Failed to remove stored file', { key: keys[index], err: result.reason });
+    }
+  });
+};
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  IMAGE_PRESETS,
+  getMaxImageSize,
+  detectImageType,
+  validateImage,
+  processImage,
+  saveImage,
+  removeImage
+};
@@ -0,0 +1,166 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logging. Every entry is one JSON object with time, level
+// and msg, the fields of the current request context (such as requestId)
+// and the fields passed by the caller. Output goes through a pluggable
+// writer; tests swap in the memory output to inspect entries.
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+// Values of matching keys never reach the logs
+const SENSITIVE_KEY_PATTERN = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Minimum level written, from LOG_LEVEL
+const getLogLevel = () => {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : 'info';
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+  stack: error.stack
+});
+
+// Copy a value for logging, replacing sensitive fields
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  // Documents, ObjectIds and the like log as their JSON form
+  const isPlain = Array.isArray(value) || [Object.prototype, null].includes(Object.getPrototypeOf(value));
+  if (!isPlain && typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), depth, seen);
+  }
+
+  seen.add(value);
+  const copy = Array.isArray(value)
+    ? value.map(item => redact(item, depth + 1, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1, seen)
+    ]));
+  seen.delete(value);
+
+  return copy;
+};
+
+// Default output - one JSON line per entry, warnings and errors to stderr
+const consoleOutput = {
+  write: (entry) => {
+    const line = JSON.stringify(entry);
+    if (LEVELS[entry.level] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+};
+
+let output = consoleOutput;
+
+// Create an output that keeps entries in memory
+const createMemoryLogOutput = () => {
+  const entries = [];
+
+  return {
+    entries,
+    write: (entry) => {
+      entries.push(entry);
+    },
+    clear: () => {
+      entries.length = 0;
+    }
+  };
+};
+
+// Replace the active output
+const setLogOutput = (newOutput) => {
+  if (!newOutput || typeof newOutput.write !== 'function') {
+    throw new Error('Log output must implement write(entry)');
+  }
+
+  output = newOutput;
+  return output;
+};
+
+// Restore the default output
+const resetLogOutput = () => {
+  output = consoleOutput;
+  return output;
+};
+
+// Fields added to every entry logged while handling a request
+const context = new AsyncLocalStorage();
+
+const runWithLogContext = (fields, fn) => {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+};
+
+const getLogContext = () => context.getStore() || {};
+
+const createLogger = (bindings = {}) => {
+  const log = (level, message, fields = {}) => {
+    if (LEVELS[level] < LEVELS[getLogLevel()]) {
+      return;
+    }
+
+    output.write({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...redact({ ...getLogContext(), ...bindings, ...fields })
+    });
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    // Logger that adds fields to every entry
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  };
+};
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  redact,
+  getLogLevel,
+  setLogOutput,
+  resetLogOutput,
+  createMemoryLogOutput,
+  runWithLogContext,
+  getLogContext
+};
@@ -0,0 +1,81 @@
+const { logger } = require('./logger');
+
+// Outgoing mail goes through a pluggable transport. A transport is any object
+// with an async send(message) method; tests swap in the memory transport.
+
+// Default transport - logs instead of delivering
+const consoleTransport = {
+  send: async (message) => {
+    logger.info('Mail transport (console)', {
+      to: message.to,
+      subject: message.subject
+    });
+    return message;
+  }
+};
+
+let transport = consoleTransport;
+
+// Create a transport that keeps sent messages in memory
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    messages,
+    send: async (message) => {
+      messages.push(message);
+      return message;
+    },
+    clear: () => {
+      messages.length = 0;
+    }
+  };
+};
+
+// Replace the active transport
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+
+  transport = newTransport;
+  return transport;
+};
+
+// Restore the default transport
+const resetTransport = () => {
+  transport = consoleTransport;
+  return transport;
+};
+
+// Send a message through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Mail requires a recipient and a subject');
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@mern-testing-app.local',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date()
+  };
+
+  return transport.send(message);
+};
+
+// Build a link to a page of the client application
+const buildClientUrl = (path) => {
+  const baseUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${baseUrl}${path}`;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  resetTransport,
+  createMemoryTransport,
+  buildClientUrl
+};
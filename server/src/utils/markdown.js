@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('./slugs');
+
+const WORDS_PER_MINUTE = 200;
+
+// HTML that rendered Markdown may contain. Anything else, including raw HTML
+// written into the Markdown source, is removed.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'pre', 'code', 'em', 'strong', 'del', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id']
+  },
+  allowedClasses: {
+    code: [/^language-[a-z0-9+#-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+// Read the render cache size from the environment (0 turns caching off)
+const getCacheSize = () => {
+  const size = parseInt(process.env.MARKDOWN_CACHE_SIZE);
+  return Number.isNaN(size) || size < 0 ? 500 : size;
+};
+
+// Rendered output by source hash, least recently used first
+const renderCache = new Map();
+
+// Strip tags and decode the entities the sanitizer produces
+const toPlainText = (html) => {
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+// Render Markdown without the cache. Headings get anchor IDs, which are
+// collected into a table of contents.
+const render = (source) => {
+  const toc = [];
+  const usedIds = new Map();
+
+  const marked = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const html = this.parser.parseInline(tokens);
+        const text = toPlainText(html).trim();
+
+        // Repeated headings get -2, -3, ... like slugs
+        const base = slugify(text) || 'section';
+        const count = (usedIds.get(base) || 0) + 1;
+        usedIds.set(base, count);
+        const id = count === 1 ? base : `${base}-${count}`;
+
+        toc.push({ level: depth, text, id });
+        return `<h${depth} id="${id}">${html}</h${depth}>\n`;
+      }
+    }
+  });
+
+  const html = sanitizeHtml(marked.parse(String(source || '')), SANITIZE_OPTIONS);
+  const text = toPlainText(html).replace(/\s+/g, ' ').trim();
+  const wordCount = text ? text.split(' ').length : 0;
+
+  return {
+    html,
+    toc,
+    text,
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+  };
+};
+
+// Render Markdown to sanitized HTML with a table of contents, plain text,
+// word count and reading time in minutes
+const renderMarkdown = (source) => {
+  const cacheSize = getCacheSize();
+  if (cacheSize === 0) {
+    return render(source);
+  }
+
+  const key = crypto.createHash('sha256').update(String(source || '')).digest('hex');
+  if (renderCache.has(key)) {
+    const cached = renderCache.get(key);
+    // Move to the end so it is evicted last
+    renderCache.delete(key);
+    renderCache.set(key, cached);
+    return cached;
+  }
+
+  const rendered = render(source);
+  renderCache.set(key, rendered);
+  while (renderCache.size > cacheSize) {
+    renderCache.delete(renderCache.keys().next().value);
+  }
+
+  return rendered;
+};
+
+// Empty the render cache
+const clearRenderCache = () => {
+  renderCache.clear();
+};
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  renderMarkdown,
+  toPlainText,
+  clearRenderCache
+};
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+
+// Metrics in the Prometheus text format. Counters, gauges and histograms are
+// kept in memory per process; renderMetrics() writes them out for /metrics.
+
+const registry = new Map();
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+// Request duration buckets, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const register = (type, { name, help, labelNames = [], collect }) => {
+  if (!METRIC_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid metric name: ${name}`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Metric ${name} is already registered`);
+  }
+
+  const metric = { type, name, help, labelNames, collect, series: new Map() };
+  registry.set(name, metric);
+  return metric;
+};
+
+// Find or create the series of a metric for a set of labels
+const getSeries = (metric, labels, create) => {
+  const unknown = Object.keys(labels).filter(name => !metric.labelNames.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown labels for metric ${metric.name}: ${unknown.join(', ')}`);
+  }
+
+  const values = metric.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+  const key = JSON.stringify(values);
+
+  if (!metric.series.has(key)) {
+    const seriesLabels = Object.fromEntries(metric.labelNames.map((name, index) => [name, values[index]]));
+    metric.series.set(key, create(seriesLabels));
+  }
+  return metric.series.get(key);
+};
+
+// Counter - a value that only goes up
+const createCounter = (options) => {
+  const metric = register('counter', options);
+  const series = (labels) => getSeries(metric, labels, seriesLabels => ({ labels: seriesLabels, value: 0 }));
+
+  return {
+    inc: (labels = {}, value = 1) => {
+      if (value < 0) {
+        throw new Error(`Counter ${metric.name} cannot decrease`);
+      }
+      series(labels).value += value;
+    },
+    get: (labels = {}) => series(labels).value
+  };
+};
+
+// Gauge - a value that goes up and down. `collect` runs before each render
+// to read values that are only known at that time.
+const createGauge = (options) => {
+  const metric = register('gauge', options);
+  const series = (labels) => getSeries(metric, labels, seriesLabels => ({ labels: seriesLabels, value: 0 }));
+
+  const gauge = {
+    set: (labels, value) => {
+      series(labels).value = value;
+    },
+    inc: (labels = {}, value = 1) => {
+      series(labels).value += value;
+    },
+    dec: (labels = {}, value = 1) => {
+      series(labels).value -= value;
+    },
+    get: (labels = {}) => series(labels).value
+  };
+  metric.gauge = gauge;
+  return gauge;
+};
+
+// Histogram - observations counted in cumulative buckets
+const createHistogram = ({ buckets = DURATION_BUCKETS, ...options }) => {
+  const metric = register('histogram', options);
+  metric.buckets = [...buckets].sort((a, b) => a - b);
+  const series = (labels) => getSeries(metric, labels, seriesLabels => ({
+    labels: seriesLabels,
+    counts: metric.buckets.map(() => 0),
+    sum: 0,
+    count: 0
+  }));
+
+  return {
+    observe: (labels, value) => {
+      const entry = series(labels);
+      metric.buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    get: (labels = {}) => {
+      const { counts, sum, count } = series(labels);
+      return { counts: [...counts], sum, count };
+    }
+  };
+};
+
+const renderSeries = (metric) => {
+  // Metrics without labels are reported before anything is recorded
+  if (metric.series.size === 0 && metric.labelNames.length === 0 && metric.type !== 'histogram') {
+    return [`${metric.name} 0`];
+  }
+
+  if (metric.type !== 'histogram') {
+    return [...metric.series.values()].map(({ labels, value }) => `${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  return [...metric.series.values()].flatMap(({ labels, counts, sum, count }) => [
+    ...metric.buckets.map((bound, index) => `${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+    `${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+    `${metric.name}_sum${formatLabels(labels)} ${sum}`,
+    `${metric.name}_count${formatLabels(labels)} ${count}`
+  ]);
+};
+
+// All metrics in the Prometheus text exposition format
+const renderMetrics = () => {
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    if (metric.collect) {
+      metric.collect(metric.gauge);
+    }
+
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...renderSeries(metric));
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Clear every recorded value, keeping the metrics themselves
+const resetMetrics = () => {
+  for (const metric of registry.values()) {
+    metric.series.clear();
+  }
+};
+
+// Token that must be sent as a bearer token to read /metrics. Without
+// METRICS_TOKEN the endpoint is open.
+const getMetricsToken = () => process.env.METRICS_TOKEN || null;
+
+const isValidMetricsToken = (token) => {
+  const expected = getMetricsToken();
+  if (!expected) {
+    return true;
+  }
+  if (!token) {
+    return false;
+  }
+
+  // Compare digests so the comparison takes the same time for any token
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+};
+
+// HTTP metrics, recorded by middleware/metrics and the error handler
+const httpRequests = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route template and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds by method and route template',
+  labelNames: ['method', 'route']
+});
+
+const httpErrors = createCounter({
+  name: 'http_errors_total',
+  help: 'Error responses by status and error code',
+  labelNames: ['status', 'code']
+});
+
+// Domain metrics
+const registrations = createCounter({
+  name: 'user_registrations_total',
+  help: 'Accounts registered'
+});
+
+const logins = createCounter({
+  name: 'user_logins_total',
+  help: 'Successful logins'
+});
+
+const postsPublished = createCounter({
+  name: 'posts_published_total',
+  help: 'Posts published, by the API or by the scheduler',
+  labelNames: ['source']
+});
+
+const commentsCreated = createCounter({
+  name: 'comments_created_total',
+  help: 'Comments created'
+});
+
+// Process metrics
+createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Time since the process started in seconds',
+  collect: (gauge) => gauge.set({}, Math.round(process.uptime()))
+});
+
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+});
+
+// MongoDB metrics. Pool sizes follow the connection pool events of the
+// driver, see trackMongoPool().
+let mongoConnection = null;
+const mongoPools = new Map();
+
+createGauge({
+  name: 'mongodb_connection_state',
+  help: 'Mongoose connection state: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting',
+  collect: (gauge) => gauge.set({}, mongoConnection ? mongoConnection.readyState : 0)
+});
+
+createGauge({
+  name: 'mongodb_pool_connections',
+  help: 'Connections in the MongoDB connection pools by state',
+  labelNames: ['state'],
+  collect: (gauge) => {
+    const totals = { open: 0, checked_out: 0 };
+    for (const pool of mongoPools.values()) {
+      totals.open += pool.open;
+      totals.checked_out += pool.checkedOut;
+    }
+    gauge.set({ state: 'open' }, totals.open);
+    gauge.set({ state: 'checked_out' }, totals.checked_out);
+  }
+});
+
+const mongoPoolMaxSize = createGauge({
+  name: 'mongodb_pool_max_size',
+  help: 'Maximum size of each MongoDB connection pool'
+});
+
+const mongoCheckoutFailures = createCounter({
+  name: 'mongodb_pool_checkout_failures_total',
+  help: 'Failed attempts to check out a MongoDB connection',
+  labelNames: ['reason']
+});
+
+const trackedClients = new WeakSet();
+
+// Follow the connection pool of a Mongoose connection. The driver only
+// reports pool changes as events, so pools are counted from the moment the
+// client connects.
+const trackMongoPool = (connection) => {
+  const track = () => {
+    const client = connection.getClient();
+    if (!client || trackedClients.has(client)) {
+      return;
+    }
+    trackedClients.add(client);
+
+    if (client.options && client.options.maxPoolSize !== undefined) {
+      mongoPoolMaxSize.set({}, client.options.maxPoolSize);
+    }
+
+    const pool = (address) => {
+      if (!mongoPools.has(address)) {
+        mongoPools.set(address, { open: 0, checkedOut: 0 });
+      }
+      return mongoPools.get(address);
+    };
+
+    client.on('connectionCreated', ({ address }) => { pool(address).open += 1; });
+    client.on('connectionClosed', ({ address }) => { pool(address).open = Math.max(0, pool(address).open - 1); });
+    client.on('connectionCheckedOut', ({ address }) => { pool(address).checkedOut += 1; });
+    client.on('connectionCheckedIn', ({ address }) => { pool(address).checkedOut = Math.max(0, pool(address).checkedOut - 1); });
+    client.on('connectionCheckOutFailed', ({ reason }) => mongoCheckoutFailures.inc({ reason: String(reason) }));
+    client.on('connectionPoolClosed', ({ address }) => { mongoPools.delete(address); });
+  };
+
+  mongoConnection = connection;
+  connection.on('connected', track);
+  if (connection.readyState === 1) {
+    track();
+  }
+};
+
+module.exports = {
+  DURATION_BUCKETS,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  resetMetrics,
+  getMetricsToken,
+  isValidMetricsToken,
+  trackMongoPool,
+  httpRequests,
+  httpRequestDuration,
+  httpErrors,
+  registrations,
+  logins,
+  postsPublished,
+  commentsCreated
+};
@@ -0,0 +1,68 @@
+const { escapeRegExp } = require('./validation');
+
+const COMMENT_MODES = ['open', 'moderated', 'disabled'];
+
+const LINK_PATTERN = /(?:https?:\/\/|www\.)\S+/gi;
+
+// Read the spam heuristic settings from the environment
+const getSpamConfig = () => {
+  const maxLinks = parseInt(process.env.COMMENT_MAX_LINKS);
+
+  return {
+    maxLinks: Number.isNaN(maxLinks) ? 2 : maxLinks,
+    bannedWords: (process.env.COMMENT_BANNED_WORDS || '')
+      .split(',')
+      .map(word => word.trim().toLowerCase())
+      .filter(Boolean)
+  };
+};
+
+// Count the links in a piece of text
+const countLinks = (text) => {
+  return (String(text).match(LINK_PATTERN) || []).length;
+};
+
+// Flag comments with too many links or any banned word
+const checkSpam = (content, config = getSpamConfig()) => {
+  const text = String(content || '');
+  const reasons = [];
+
+  const linkCount = countLinks(text);
+  if (linkCount > config.maxLinks) {
+    reasons.push(`Too many links (${linkCount}, maximum ${config.maxLinks})`);
+  }
+
+  const bannedWords = config.bannedWords.filter(word => (
+    new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(text)
+  ));
+  if (bannedWords.length > 0) {
+    reasons.push(`Contains banned words: ${bannedWords.join(', ')}`);
+  }
+
+  return {
+    isSpam: reasons.length > 0,
+    reasons
+  };
+};
+
+// Work out the comment mode for a post. A post setting overrides its
+// category, and anything unset falls back to open.
+const resolveCommentMode = (post, category) => {
+  if (post && COMMENT_MODES.includes(post.commentMode)) {
+    return post.commentMode;
+  }
+
+  if (category && COMMENT_MODES.includes(category.commentMode)) {
+    return category.commentMode;
+  }
+
+  return 'open';
+};
+
+module.exports = {
+  COMMENT_MODES,
+  getSpamConfig,
+  countLinks,
+  checkSpam,
+  resolveCommentMode
+};
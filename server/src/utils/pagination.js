@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const { validatePagination } = require('./validation');
+
+// Listings are ordered newest first, with _id breaking ties between
+// documents created in the same millisecond
+const CURSOR_SORT = { createdAt: -1, _id: -1 };
+
+// Encode the position of a document as an opaque cursor
+const encodeCursor = (doc) => {
+  const payload = JSON.stringify({
+    createdAt: new Date(doc.createdAt).toISOString(),
+    id: doc._id.toString()
+  });
+
+  return Buffer.from(payload).toString('base64url');
+};
+
+// Decode a cursor, returning null when it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Build the filter for documents that come after a cursor
+const buildCursorFilter = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: id } }
+  ]
+});
+
+// Query parameters shared by paginated listings
+const paginationQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.page !== undefined) {
+        throw new Error('Use either page or cursor, not both');
+      }
+      if (!decodeCursor(value)) {
+        throw new Error('Invalid cursor');
+      }
+      return true;
+    }),
+  query('count').optional().isBoolean().withMessage('count must be a boolean')
+];
+
+// Run a paginated find. Page mode (the default) skips to the requested page;
+// cursor mode continues after the given cursor so results do not shift when
+// new documents arrive. The total is counted in page mode unless count=false,
+// and only in cursor mode when count=true.
+const paginate = async (Model, filter, { page, limit, cursor, count } = {}, customize = (q) => q) => {
+  const isCursorMode = Boolean(cursor);
+  const { page: pageNum, limit: limitNum } = validatePagination(isCursorMode ? 1 : page, limit);
+  const withCount = count === undefined ? !isCursorMode : String(count) === 'true';
+
+  const position = isCursorMode && decodeCursor(cursor);
+  const findFilter = position ? { $and: [filter, buildCursorFilter(position)] } : filter;
+
+  // Fetch one extra document to find out whether there is a next page
+  let findQuery = Model.find(findFilter).sort(CURSOR_SORT).limit(limitNum + 1);
+  if (!isCursorMode) {
+    findQuery = findQuery.skip((pageNum - 1) * limitNum);
+  }
+
+  const [docs, total] = await Promise.all([
+    customize(findQuery),
+    withCount ? Model.countDocuments(filter) : null
+  ]);
+
+  const hasMore = docs.length > limitNum;
+  const items = hasMore ? docs.slice(0, limitNum) : docs;
+
+  const pagination = isCursorMode
+    ? { limit: limitNum, cursor }
+    : { page: pageNum, limit: limitNum };
+
+  if (withCount) {
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / limitNum);
+  }
+  pagination.hasMore = hasMore;
+  pagination.nextCursor = hasMore ? encodeCursor(items[items.length - 1]) : null;
+
+  return { items, pagination };
+};
+
+// Build an RFC 8288 Link header value for a paginated listing
+const buildLinkHeader = (baseUrl, params, pagination) => {
+  const link = (overrides, rel) => {
+    const search = new URLSearchParams({ ...params, ...overrides });
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value === undefined) search.delete(key);
+    }
+    const queryString = search.toString();
+    return `<${baseUrl}${queryString ? `?${queryString}` : ''}>; rel="${rel}"`;
+  };
+
+  const links = [link({ page: 1, cursor: undefined }, 'first')];
+
+  if (pagination.nextCursor) {
+    links.push(pagination.page
+      ? link({ page: pagination.page + 1, cursor: undefined }, 'next')
+      : link({ cursor: pagination.nextCursor, page: undefined }, 'next'));
+  }
+
+  if (pagination.page > 1) {
+    links.push(link({ page: pagination.page - 1, cursor: undefined }, 'prev'));
+  }
+
+  if (pagination.page && pagination.pages > 0) {
+    links.push(link({ page: pagination.pages, cursor: undefined }, 'last'));
+  }
+
+  return links.join(', ');
+};
+
+// Set the Link header for a paginated response
+const setLinkHeader = (req, res, pagination) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+  res.set('Link', buildLinkHeader(baseUrl, req.query, pagination));
+};
+
+module.exports = {
+  CURSOR_SORT,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginationQuery,
+  paginate,
+  buildLinkHeader,
+  setLinkHeader
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every permission a role can grant. Owners can always edit and delete their
+// own posts and comments; permissions cover everything beyond that.
+const PERMISSIONS = {
+  'post:publish': 'Publish and schedule posts',
+  'post:feature': 'Mark posts as featured',
+  'post:edit:any': 'Edit any post and see its history and unpublished versions',
+  'post:delete:any': 'Delete and restore any post',
+  'comment:moderate': 'Moderate and delete any comment',
+  'category:manage': 'Create, update and delete categories',
+  'user:view': 'View any user account',
+  'user:manage': 'Change roles and status of users, delete and restore them'
+};
+
+// Grants every permission
+const ALL_PERMISSIONS = '*';
+
+const DEFAULT_ROLES = {
+  admin: [ALL_PERMISSIONS],
+  editor: ['post:publish', 'post:feature', 'post:edit:any', 'post:delete:any', 'comment:moderate', 'category:manage'],
+  moderator: ['post:publish', 'comment:moderate'],
+  author: ['post:publish'],
+  // Given to new accounts
+  user: ['post:publish']
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,29}$/;
+
+// Check a role map read from configuration
+const validateRoles = (roles, source) => {
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    throw new Error(`${source} must map role names to lists of permissions`);
+  }
+
+  for (const [role, permissions] of Object.entries(roles)) {
+    if (!ROLE_NAME_PATTERN.test(role)) {
+      throw new Error(`${source}: invalid role name "${role}"`);
+    }
+    if (!Array.isArray(permissions)) {
+      throw new Error(`${source}: permissions of role "${role}" must be a list`);
+    }
+
+    const unknown = permissions.filter(permission => permission !== ALL_PERMISSIONS && !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new Error(`${source}: unknown permission ${unknown.map(p => `"${p}"`).join(', ')} in role "${role}"`);
+    }
+  }
+
+  return roles;
+};
+
+// Build the roles from the defaults and the JSON file named by ROLES_FILE.
+// Roles in the file are added to the defaults or replace them, so roles can
+// change without code changes.
+const loadRoles = (file = process.env.ROLES_FILE) => {
+  const roles = { ...DEFAULT_ROLES };
+
+  if (file) {
+    const configured = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    Object.assign(roles, validateRoles(configured, `Roles file ${file}`));
+  }
+
+  return Object.fromEntries(
+    Object.entries(roles).map(([role, permissions]) => [
+      role,
+      new Set(permissions.includes(ALL_PERMISSIONS) ? Object.keys(PERMISSIONS) : permissions)
+    ])
+  );
+};
+
+// Roles are read once; resetRoles() makes the next check read them again
+let roles = null;
+
+const getRoles = () => {
+  if (!roles) {
+    roles = loadRoles();
+  }
+  return roles;
+};
+
+const resetRoles = () => {
+  roles = null;
+};
+
+// Names of all configured roles
+const getRoleNames = () => Object.keys(getRoles());
+
+const isKnownRole = (role) => Object.prototype.hasOwnProperty.call(getRoles(), role);
+
+// Permissions granted by a role, or by the role of a user
+const getPermissions = (roleOrUser) => {
+  const role = typeof roleOrUser === 'string' ? roleOrUser : roleOrUser && roleOrUser.role;
+  return isKnownRole(role) ? [...getRoles()[role]] : [];
+};
+
+// Check whether a user's role grants a permission
+const hasPermission = (user, permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return Boolean(user) && isKnownRole(user.role) && getRoles()[user.role].has(permission);
+};
+
+// Users may only hand out roles that grant nothing they lack themselves
+const canAssignRole = (user, role) => {
+  return isKnownRole(role) && getPermissions(role).every(permission => hasPermission(user, permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  validateRoles,
+  loadRoles,
+  getRoles,
+  resetRoles,
+  getRoleNames,
+  isKnownRole,
+  getPermissions,
+  hasPermission,
+  canAssignRole
+};
@@ -0,0 +1,130 @@
+// Post fields recorded in every revision
+const TRACKED_FIELDS = ['title', 'content', 'category', 'tags', 'status', 'publishAt', 'featured', 'commentMode', 'meta'];
+
+// Fields a restore puts back. Publishing state is left alone so restoring an
+// old revision never unpublishes or reschedules a post.
+const RESTORABLE_FIELDS = ['title', 'content', 'category', 'tags', 'meta'];
+
+// Fields compared word by word in diffs
+const TEXT_FIELDS = ['title', 'content'];
+
+// Read the number of revisions kept per post from the environment
+const getRevisionLimit = () => {
+  const limit = parseInt(process.env.POST_REVISION_LIMIT);
+  return Number.isNaN(limit) || limit < 1 ? 50 : limit;
+};
+
+// Copy the tracked fields of a post
+const takeSnapshot = (post) => {
+  const source = post.toObject({ depopulate: true, virtuals: false });
+  const snapshot = {};
+
+  for (const field of TRACKED_FIELDS) {
+    snapshot[field] = source[field] === undefined ? null : source[field];
+  }
+
+  return snapshot;
+};
+
+// List the tracked fields changed on a post that has not been saved yet
+const getChangedFields = (post) => {
+  return TRACKED_FIELDS.filter(field => post.isModified(field));
+};
+
+// Split text into words, keeping the whitespace after each word so the
+// pieces of a diff join back into the original text
+const tokenize = (text) => String(text || '').match(/\S+\s*|\s+/g) || [];
+
+// Merge neighbouring diff parts of the same type
+const pushPart = (parts, type, value) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+};
+
+// Word-level diff of two texts as a list of equal, removed and added parts
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix and suffix need no comparison table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  // Longest common subsequence of the changed middle section
+  const rows = endA - start;
+  const cols = endB - start;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  if (start > 0) pushPart(parts, 'equal', a.slice(0, start).join(''));
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      pushPart(parts, 'equal', a[start + i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushPart(parts, 'removed', a[start + i]);
+      i++;
+    } else {
+      pushPart(parts, 'added', b[start + j]);
+      j++;
+    }
+  }
+  for (; i < rows; i++) pushPart(parts, 'removed', a[start + i]);
+  for (; j < cols; j++) pushPart(parts, 'added', b[start + j]);
+
+  if (endA < a.length) pushPart(parts, 'equal', a.slice(endA).join(''));
+
+  return parts;
+};
+
+// Compare two revision snapshots field by field. Text fields get a word
+// diff; other fields report their old and new values.
+const diffSnapshots = (from, to) => {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const before = from[field] === undefined ? null : from[field];
+    const after = to[field] === undefined ? null : to[field];
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      continue;
+    }
+
+    changes[field] = TEXT_FIELDS.includes(field)
+      ? { diff: diffWords(before, after) }
+      : { from: before, to: after };
+  }
+
+  return changes;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  RESTORABLE_FIELDS,
+  getRevisionLimit,
+  takeSnapshot,
+  getChangedFields,
+  diffWords,
+  diffSnapshots
+};
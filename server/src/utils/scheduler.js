@@ -0,0 +1,90 @@
+const Post = require('../models/Post');
+const { purgeTrash } = require('./trash');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Read the scheduler settings from the environment
+const getSchedulerConfig = () => {
+  const intervalSeconds = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS);
+
+  return {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    intervalMs: (Number.isNaN(intervalSeconds) || intervalSeconds < 1 ? 60 : intervalSeconds) * 1000
+  };
+};
+
+// Jobs run on every tick. Each receives the current time and must be safe to
+// run concurrently on several instances.
+const jobs = {
+  publishScheduledPosts: async (now) => {
+    const published = await Post.publishDue(now);
+    metrics.postsPublished.inc({ source: 'scheduler' }, published.length);
+    return { published: published.length };
+  },
+  purgeTrash: (now) => purgeTrash(now)
+};
+
+let timer = null;
+let running = null;
+
+// Run every job once. Tests call this directly with a fixed date instead of
+// waiting for the timer.
+const runScheduledJobs = async (now = new Date()) => {
+  const results = {};
+
+  for (const [name, job] of Object.entries(jobs)) {
+    try {
+      results[name] = await job(now);
+    } catch (error) {
+      logger.error('Scheduled job failed', { job: name, err: error });
+      results[name] = { error: error.message };
+    }
+  }
+
+  return results;
+};
+
+// Run the jobs unless the previous tick is still going
+const tick = (clock) => {
+  if (running) {
+    return running;
+  }
+
+  running = runScheduledJobs(clock()).finally(() => {
+    running = null;
+  });
+  return running;
+};
+
+// Start running the jobs on an interval. `clock` supplies the current time so
+// tests can drive the scheduler with a fake clock.
+const startScheduler = ({ intervalMs, clock = () => new Date() } = {}) => {
+  if (timer) {
+    return timer;
+  }
+
+  const config = getSchedulerConfig();
+  timer = setInterval(() => tick(clock), intervalMs || config.intervalMs);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+
+  tick(clock);
+  return timer;
+};
+
+// Stop the interval and wait for a tick that is still running
+const stopScheduler = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await running;
+};
+
+module.exports = {
+  getSchedulerConfig,
+  runScheduledJobs,
+  startScheduler,
+  stopScheduler
+};
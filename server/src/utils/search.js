@@ -0,0 +1,120 @@
+const { escapeRegExp } = require('./validation');
+
+const SNIPPET_LENGTH = 160;
+
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(-?)(\S+)/g;
+
+// Split a search query into terms, quoted phrases and excluded (-prefixed)
+// terms or phrases
+const parseSearchQuery = (query) => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+
+  for (const match of String(query || '').matchAll(TOKEN_PATTERN)) {
+    const [, phraseNegation, phrase, termNegation, term] = match;
+
+    if (phrase !== undefined) {
+      const value = phrase.trim().replace(/\s+/g, ' ');
+      if (!value) continue;
+      (phraseNegation ? parsed.excluded : parsed.phrases).push(value);
+    } else {
+      const value = term.replace(/"/g, '');
+      if (!value) continue;
+      (termNegation ? parsed.excluded : parsed.terms).push(value);
+    }
+  }
+
+  return parsed;
+};
+
+// Check that a parsed query has something to match (MongoDB returns nothing
+// for queries made only of exclusions)
+const hasPositiveTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+// Build the $text $search string for a parsed query
+const buildTextSearch = (parsed) => {
+  const quote = (value) => `"${value}"`;
+  const exclude = (value) => `-${value.includes(' ') ? quote(value) : value}`;
+
+  return [
+    ...parsed.terms,
+    ...parsed.phrases.map(quote),
+    ...parsed.excluded.map(exclude)
+  ].join(' ');
+};
+
+// Escape text for safe inclusion in HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Build a RegExp matching the phrases and terms of a query. Terms also match
+// longer words so stemmed matches ("run" in "running") are highlighted too.
+const buildHighlightPattern = (parsed) => {
+  const phrases = parsed.phrases.map(phrase => escapeRegExp(phrase).replace(/ /g, '\\s+'));
+  const terms = parsed.terms.map(term => `${escapeRegExp(term)}\\w*`);
+  const alternatives = [...phrases, ...terms];
+
+  return alternatives.length > 0 ? new RegExp(`(?<!\\w)(?:${alternatives.join('|')})`, 'gi') : null;
+};
+
+// Wrap the matches in a piece of text in <mark> tags, escaping the rest
+const markMatches = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+
+  let result = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Highlight a whole field, such as a title
+const highlight = (text, parsed) => {
+  return markMatches(String(text || ''), buildHighlightPattern(parsed));
+};
+
+// Cut a snippet of text around the first match and highlight it
+const snippet = (text, parsed, length = SNIPPET_LENGTH) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const pattern = buildHighlightPattern(parsed);
+
+  if (source.length <= length) {
+    return markMatches(source, pattern);
+  }
+
+  const first = pattern ? source.search(new RegExp(pattern.source, 'i')) : -1;
+  let start = Math.max(0, first - Math.floor(length / 3));
+  let end = Math.min(source.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Avoid cutting words in half at either end
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < source.length ? ' …' : '';
+
+  return `${prefix}${markMatches(source.slice(start, end), pattern)}${suffix}`;
+};
+
+module.exports = {
+  parseSearchQuery,
+  hasPositiveTerms,
+  buildTextSearch,
+  escapeHtml,
+  highlight,
+  snippet
+};
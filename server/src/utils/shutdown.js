@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { stopScheduler } = require('./scheduler');
+const { logger } = require('./logger');
+
+let shuttingDown = false;
+
+// Whether the process is shutting down. Readiness fails from the start of the
+// shutdown so load balancers stop sending new requests.
+const isShuttingDown = () => shuttingDown;
+
+// Read the shutdown settings from the environment
+const getShutdownTimeout = () => {
+  const timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS);
+  return Number.isNaN(timeoutMs) || timeoutMs < 0 ? 10000 : timeoutMs;
+};
+
+// Stop accepting connections and wait for in-flight requests to finish.
+// Connections still busy after timeoutMs are closed.
+const closeServer = (server, timeoutMs) => new Promise((resolve, reject) => {
+  if (!server || !server.listening) {
+    return resolve();
+  }
+
+  const timer = setTimeout(() => {
+    logger.warn('Requests still in flight at the shutdown timeout, closing connections', { timeoutMs });
+    server.closeAllConnections();
+  }, timeoutMs);
+  timer.unref();
+
+  // Keep-alive connections would hold close() open after their last
+  // response, so close them as soon as they are idle
+  const idle = setInterval(() => server.closeIdleConnections(), 100);
+  idle.unref();
+
+  server.close((error) => {
+    clearTimeout(timer);
+    clearInterval(idle);
+    return error ? reject(error) : resolve();
+  });
+});
+
+// Shut down gracefully: drain requests, stop the scheduler and close the
+// database connection. Returns the same promise when called again.
+let shutdownPromise = null;
+
+const shutdown = (server, { signal, timeoutMs = getShutdownTimeout() } = {}) => {
+  if (shutdownPromise) {
+    return shutdownPromise;
+  }
+
+  shuttingDown = true;
+  logger.info('Shutting down', { signal, timeoutMs });
+
+  shutdownPromise = (async () => {
+    await closeServer(server, timeoutMs);
+    await stopScheduler();
+    await mongoose.connection.close();
+    logger.info('Shutdown complete');
+  })();
+  return shutdownPromise;
+};
+
+// Let tests start from a running state again
+const resetShutdown = () => {
+  shuttingDown = false;
+  shutdownPromise = null;
+};
+
+module.exports = {
+  isShuttingDown,
+  getShutdownTimeout,
+  shutdown,
+  resetShutdown
+};
@@ -0,0 +1,161 @@
+const { escapeRegExp } = require('./validation');
+
+const MAX_SLUG_LENGTH = 80;
+
+// Saves retried after losing a race for the same slug
+const MAX_SLUG_SAVE_ATTEMPTS = 5;
+
+// Letters that Unicode normalization does not reduce to ASCII
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', ł: 'l', þ: 'th', ı: 'i', ħ: 'h',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya', є: 'ye', і: 'i', ї: 'yi', ґ: 'g',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+  υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+// Convert text to ASCII: accents are dropped ("é" -> "e") and other
+// scripts are mapped letter by letter where a mapping is known
+const transliterate = (text) => {
+  const mapLetters = (value) => value.replace(/[^\u0000-\u007f]/g, char => TRANSLITERATIONS[char] ?? char);
+
+  // Letters are mapped before and after removing accents, so both "й" and
+  // accented letters of mapped scripts ("ά") are handled
+  return mapLetters(
+    mapLetters(String(text || '').toLowerCase())
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+  );
+};
+
+// Turn text into a URL slug ("Héllo, World!" -> "hello-world")
+const slugify = (text) => {
+  const slug = transliterate(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug;
+  }
+
+  // Cut long slugs at a word boundary
+  const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+  const boundary = cut.lastIndexOf('-');
+  return (boundary > 0 ? cut.slice(0, boundary) : cut.slice(0, MAX_SLUG_LENGTH)).replace(/-+$/, '');
+};
+
+// Find a slug for `text` that no other document uses, now or in its slug
+// history, adding -2, -3, ... on collision. Text that leaves nothing to slug
+// (such as a title in an unmapped script) uses the fallback instead.
+const generateUniqueSlug = async (Model, text, { fallback = 'item', excludeId = null } = {}) => {
+  const base = slugify(text) || fallback;
+  const pattern = new RegExp(`^${escapeRegExp(base)}(?:-\\d+)?$`);
+
+  const filter = { $or: [{ slug: pattern }, { slugHistory: pattern }] };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  // Slugs of documents in the trash stay reserved so they can be restored
+  const query = Model.find(filter).select('slug slugHistory').lean();
+  if (typeof query.withDeleted === 'function') {
+    query.withDeleted();
+  }
+
+  const taken = await query;
+  const used = new Set(
+    taken
+      .flatMap(doc => [doc.slug, ...(doc.slugHistory || [])])
+      .filter(slug => pattern.test(slug))
+  );
+
+  if (!used.has(base)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) {
+    suffix++;
+  }
+  return `${base}-${suffix}`;
+};
+
+// Give a document a unique slug from its source field before validation.
+// New documents keep an explicit slug; renamed documents get a new slug and
+// keep the old one in their history so old links can redirect.
+const assignSlug = async (doc, sourceField, fallback) => {
+  const needsSlug = doc.isNew ? !doc.slug : doc.isModified(sourceField) && !doc.isModified('slug');
+  if (!needsSlug || !doc[sourceField]) {
+    return;
+  }
+
+  const previous = doc.isNew ? null : doc.slug;
+  const slug = await generateUniqueSlug(doc.constructor, doc[sourceField], { fallback, excludeId: doc._id });
+  if (slug === previous) {
+    return;
+  }
+
+  // Remember where the slug came from so saveWithUniqueSlug can pick another
+  doc.$locals.slugSource = { sourceField, fallback };
+
+  doc.slug = slug;
+  doc.slugHistory.pull(slug);
+  if (previous && !doc.slugHistory.includes(previous)) {
+    doc.slugHistory.push(previous);
+  }
+};
+
+// Whether a save failed because another document holds the same slug
+const isDuplicateSlugError = (error) => Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.slug);
+
+// Save a document whose slug may have been generated by assignSlug. The
+// check for a free slug reads before the save writes, so two documents saved
+// at the same time can pick the same slug; the one that loses on the unique
+// index is saved again with the next free slug.
+const saveWithUniqueSlug = async (doc, { attempts = MAX_SLUG_SAVE_ATTEMPTS } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await doc.save();
+      delete doc.$locals.slugSource;
+      return doc;
+    } catch (error) {
+      const source = doc.$locals.slugSource;
+      if (!source || !isDuplicateSlugError(error) || attempt >= attempts) {
+        throw error;
+      }
+
+      doc.slug = await generateUniqueSlug(doc.constructor, doc[source.sourceField], {
+        fallback: source.fallback,
+        excludeId: doc._id
+      });
+      doc.slugHistory.pull(doc.slug);
+    }
+  }
+};
+
+// Answer a request for an old slug with a permanent redirect to the current
+// one. The body repeats the new slug for clients that do not follow redirects.
+const redirectToSlug = (req, res, slug) => {
+  const location = `${req.baseUrl}/slug/${encodeURIComponent(slug)}`;
+
+  res.status(301).location(location).json({
+    message: 'Moved permanently',
+    slug,
+    location
+  });
+};
+
+module.exports = {
+  transliterate,
+  slugify,
+  generateUniqueSlug,
+  assignSlug,
+  isDuplicateSlugError,
+  saveWithUniqueSlug,
+  redirectToSlug
+};
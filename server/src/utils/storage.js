@@ -0,0 +1,97 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Uploaded files go through a pluggable storage backend. A backend is any
+// object with async save(key, buffer, { contentType }) and remove(key)
+// methods and a url(key) method; tests swap in the memory backend.
+
+// Read where the local backend keeps files and the URL they are served from
+const getStorageConfig = () => ({
+  directory: path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')),
+  baseUrl: (process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/+$/, '')
+});
+
+// Create a backend that writes files to a directory on local disk
+const createLocalStorage = ({ directory, baseUrl }) => {
+  // Keys are generated by the server, but never let one escape the directory
+  const resolveKey = (key) => {
+    const file = path.resolve(directory, key);
+    if (!file.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  const url = (key) => `${baseUrl}/${key}`;
+
+  return {
+    directory,
+    url,
+    save: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { key, url: url(key) };
+    },
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+// Create a backend that keeps files in memory
+const createMemoryStorage = ({ baseUrl = '/uploads' } = {}) => {
+  const files = new Map();
+  const url = (key) => `${baseUrl}/${key}`;
+
+  return {
+    files,
+    url,
+    save: async (key, buffer, { contentType } = {}) => {
+      files.set(key, { buffer, contentType });
+      return { key, url: url(key) };
+    },
+    remove: async (key) => {
+      files.delete(key);
+    },
+    clear: () => {
+      files.clear();
+    }
+  };
+};
+
+// The local backend is created on first use so it picks up the environment
+let storage = null;
+
+// Get the active backend
+const getStorage = () => {
+  if (!storage) {
+    storage = createLocalStorage(getStorageConfig());
+  }
+  return storage;
+};
+
+// Replace the active backend
+const setStorage = (newStorage) => {
+  if (!newStorage || ['save', 'remove', 'url'].some(method => typeof newStorage[method] !== 'function')) {
+    throw new Error('Storage backend must implement save(key, buffer), remove(key) and url(key)');
+  }
+
+  storage = newStorage;
+  return storage;
+};
+
+// Restore the default backend
+const resetStorage = () => {
+  storage = null;
+  return getStorage();
+};
+
+module.exports = {
+  getStorageConfig,
+  createLocalStorage,
+  createMemoryStorage,
+  getStorage,
+  setStorage,
+  resetStorage
+};
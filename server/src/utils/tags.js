@@ -0,0 +1,43 @@
+const TAG_MATCH_MODES = ['any', 'all'];
+
+// Normalize a tag so "React", " react " and "#React" are the same tag.
+// Whitespace inside a tag becomes a hyphen ("Web Dev" -> "web-dev").
+const normalizeTag = (tag) => {
+  return String(tag === null || tag === undefined ? '' : tag)
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+};
+
+// Normalize a list of tags, dropping empty and duplicate entries
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return tags;
+  }
+
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+// Read tags from a query parameter given as "a,b" or repeated (?tag=a&tag=b)
+const parseTagQuery = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return normalizeTags(values.flatMap(item => String(item || '').split(',')));
+};
+
+// Build the post filter for a tag query
+const buildTagFilter = (tags, match = 'any') => {
+  if (tags.length === 1) {
+    return tags[0];
+  }
+
+  return match === 'all' ? { $all: tags } : { $in: tags };
+};
+
+module.exports = {
+  TAG_MATCH_MODES,
+  normalizeTag,
+  normalizeTags,
+  parseTagQuery,
+  buildTagFilter
+};
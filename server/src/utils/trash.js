@@ -0,0 +1,85 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const PostView = require('../models/PostView');
+const ViewHistory = require('../models/ViewHistory');
+const RefreshToken = require('../models/RefreshToken');
+const { removeImage } = require('./images');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read how many days deleted posts and users stay in the trash before they
+// are purged (0 keeps them until restored)
+const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+// When a deleted document will be purged, or null if it never will be
+const getPurgeDate = (deletedAt, retentionDays = getTrashRetentionDays()) => {
+  if (!deletedAt || retentionDays === 0) return null;
+  return new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+};
+
+// Permanently remove a deleted post with its comments, history and files.
+// Returns false if another instance purged or restored it first.
+const purgePost = async (post) => {
+  const { deletedCount } = await Post.deleteOne({ _id: post._id, deletedAt: { $ne: null } });
+  if (!deletedCount) {
+    return false;
+  }
+
+  await Promise.all([
+    Comment.deleteMany({ post: post._id }),
+    PostRevision.deleteMany({ post: post._id }),
+    PostView.deleteMany({ post: post._id }),
+    ViewHistory.deleteMany({ post: post._id })
+  ]);
+  await removeImage(post.coverImage);
+  return true;
+};
+
+// Permanently remove a deleted user with their sessions and avatar.
+// Returns false if another instance purged or restored them first.
+const purgeUser = async (user) => {
+  const { deletedCount } = await User.deleteOne({ _id: user._id, deletedAt: { $ne: null } });
+  if (!deletedCount) {
+    return false;
+  }
+
+  await RefreshToken.deleteMany({ user: user._id });
+  await removeImage(user.profile && user.profile.avatar);
+  return true;
+};
+
+// Purge everything that has been in the trash longer than the retention
+// period, in batches
+const purgeTrash = async (now = new Date(), { retentionDays = getTrashRetentionDays(), batchSize = 100 } = {}) => {
+  const results = { posts: 0, users: 0 };
+  if (retentionDays === 0) {
+    return results;
+  }
+
+  const filter = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - retentionDays * DAY_MS) } };
+
+  const posts = await Post.find(filter).select('coverImage').limit(batchSize);
+  for (const post of posts) {
+    if (await purgePost(post)) results.posts++;
+  }
+
+  const users = await User.find(filter).select('profile.avatar').limit(batchSize);
+  for (const user of users) {
+    if (await purgeUser(user)) results.users++;
+  }
+
+  return results;
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgePost,
+  purgeUser,
+  purgeTrash
+};
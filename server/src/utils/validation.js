@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
 
 // Common validation rules
 const validationRules = {
@@ -56,8 +57,9 @@ const validationRules = {
   ]
 };
 
-// Sanitize input data
-const sanitizeInput = (data) => {
+// Sanitize input data. Top-level keys listed in `except` are left as-is,
+// for fields such as Markdown content that are sanitized when rendered.
+const sanitizeInput = (data, { except = [] } = {}) => {
   if (typeof data === 'string') {
     return data
       .trim()
@@ -67,10 +69,14 @@ const sanitizeInput = (data) => {
       .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, ''); // Remove script tags
   }
   
+  if (Array.isArray(data)) {
+    return data.map(item => sanitizeInput(item));
+  }
+  
   if (typeof data === 'object' && data !== null) {
     const sanitized = {};
     for (const [key, value] of Object.entries(data)) {
-      sanitized[key] = sanitizeInput(value);
+      sanitized[key] = except.includes(key) ? value : sanitizeInput(value);
     }
     return sanitized;
   }
@@ -140,6 +146,9 @@ const validateSearchQuery = (query) => {
   return trimmedQuery;
 };
 
+// Escape a string for use inside a RegExp
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // Validate file upload
 const validateFileUpload = (file, allowedTypes = ['image/jpeg', 'image/png', 'image/gif'], maxSize = 5 * 1024 * 1024) => {
   if (!file) {
@@ -157,14 +166,19 @@ const validateFileUpload = (file, allowedTypes = ['image/jpeg', 'image/png', 'im
   return true;
 };
 
+// Field error as listed in error responses. Values are left out, since they
+// may hold passwords.
+const toFieldError = (error) => ({
+  field: error.path,
+  location: error.location,
+  message: error.msg
+});
+
 // Check validation results
 const checkValidationResult = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array()
-    });
+    return next(new AppError('Validation failed', 400, 'VALIDATION_FAILED', errors.array().map(toFieldError)));
   }
   next();
 };
@@ -200,10 +214,7 @@ const validateAndSanitize = (req, res, next) => {
     
     next();
   } catch (error) {
-    res.status(400).json({
-      error: 'Invalid input data',
-      details: error.message
-    });
+    next(new AppError('Invalid input data', 400, 'INVALID_INPUT'));
   }
 };
 
@@ -216,6 +227,7 @@ module.exports = {
   isValidDate,
   validatePagination,
   validateSearchQuery,
+  escapeRegExp,
   validateFileUpload,
   checkValidationResult,
   isUnique,
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const PostView = require('../models/PostView');
+const { logger } = require('./logger');
+
+// View writes still in flight, so tests can wait for them
+const pendingViews = new Set();
+
+// Identify the viewer: the user when signed in, otherwise a fingerprint of
+// the client address and user agent
+const getViewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.ip}|${req.get('User-Agent') || ''}`)
+    .digest('hex');
+
+  return `anon:${fingerprint}`;
+};
+
+// Record a view without making the response wait for the write
+const trackView = (post, req) => {
+  const write = PostView.record(post, getViewerKey(req))
+    .catch((error) => {
+      logger.error('View tracking error', { err: error });
+      return false;
+    })
+    .finally(() => {
+      pendingViews.delete(write);
+    });
+
+  pendingViews.add(write);
+  return write;
+};
+
+// Wait for all in-flight view writes
+const flushViews = () => {
+  return Promise.all([...pendingViews]);
+};
+
+module.exports = {
+  getViewerKey,
+  trackView,
+  flushViews
+};
@@ -3,7 +3,9 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const { app } = require('../../src/app');
 const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
 const { generateToken } = require('../../src/utils/auth');
+const { setTransport, resetTransport, createMemoryTransport } = require('../../src/utils/mailer');
 
 let mongoServer;
 let token;
@@ -153,9 +155,35 @@ describe('POST /api/auth/login', () => {
     expect(res.body).toHaveProperty('message', 'Login successful');
     expect(res.body).toHaveProperty('user');
     expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
     expect(res.body.user.email).toBe(loginData.email);
   });
 
+  it('should store only a hash of the refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' });
+
+    const stored = await RefreshToken.find({ user: userId });
+    expect(stored.length).toBe(1);
+    expect(stored[0].tokenHash).not.toBe(res.body.refreshToken);
+  });
+
+  it('should supersede the previous refresh token for the same device', async () => {
+    const loginData = {
+      email: 'test@example.com',
+      password: 'Password123',
+      deviceId: 'phone'
+    };
+
+    await request(app).post('/api/auth/login').send(loginData);
+    await request(app).post('/api/auth/login').send(loginData);
+    await request(app).post('/api/auth/login').send({ ...loginData, deviceId: 'laptop' });
+
+    const active = await RefreshToken.find({ user: userId, revokedAt: null });
+    expect(active.length).toBe(2);
+  });
+
   it('should return 400 for invalid email format', async () => {
     const loginData = {
       email: 'invalid-email',
@@ -181,6 +209,7 @@ describe('POST /api/auth/login', () => {
       .send(loginData);
 
     expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
     expect(res.body).toHaveProperty('error');
   });
 
@@ -195,6 +224,7 @@ describe('POST /api/auth/login', () => {
       .send(loginData);
 
     expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
     expect(res.body).toHaveProperty('error');
   });
 });
@@ -317,6 +347,21 @@ describe('PUT /api/auth/profile', () => {
     expect(res.body).toHaveProperty('error');
   });
 
+  it('should reject fields outside the profile', async () => {
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ firstName: 'Jane', role: 'admin', password: 'Password456' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.errors.map(error => error.field)).toEqual(['role', 'password']);
+
+    const user = await User.findById(userId);
+    expect(user.role).toBe('user');
+    expect(user.profile.firstName).toBe('John');
+  });
+
   it('should return 401 when not authenticated', async () => {
     const updateData = {
       firstName: 'Jane'
@@ -358,6 +403,25 @@ describe('PUT /api/auth/change-password', () => {
     expect(res.body).toHaveProperty('message', 'Password changed successfully');
   });
 
+  it('should revoke existing tokens and issue a new session', async () => {
+    const res = await request(app)
+      .put('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'Password123', newPassword: 'NewPassword123' });
+
+    expect(res.body).toHaveProperty('token');
+
+    const oldTokenRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+    expect(oldTokenRes.status).toBe(401);
+
+    const newTokenRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(newTokenRes.status).toBe(200);
+  });
+
   it('should return 400 for incorrect current password', async () => {
     const passwordData = {
       currentPassword: 'WrongPassword123',
@@ -417,22 +481,344 @@ describe('PUT /api/auth/change-password', () => {
   });
 });
 
+describe('Email verification', () => {
+  let mailTransport;
+
+  // Pull the raw verification token out of the captured email
+  const getVerificationToken = () => {
+    const message = mailTransport.messages[mailTransport.messages.length - 1];
+    return message.text.match(/verify-email\/([0-9a-f]+)/)[1];
+  };
+
+  beforeEach(async () => {
+    mailTransport = setTransport(createMemoryTransport());
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'Password123'
+      });
+    userId = res.body.user._id;
+    token = res.body.token;
+  });
+
+  afterEach(() => {
+    resetTransport();
+  });
+
+  it('should register users as unverified and send a verification email', async () => {
+    const user = await User.findById(userId);
+
+    expect(user.isEmailVerified).toBe(false);
+    expect(mailTransport.messages.length).toBe(1);
+    expect(mailTransport.messages[0].to).toBe('test@example.com');
+  });
+
+  it('should register users even when the verification email fails', async () => {
+    setTransport({
+      send: async () => {
+        throw new Error('SMTP unavailable');
+      }
+    });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'newuser',
+        email: 'new@example.com',
+        password: 'Password123'
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveProperty('token');
+    expect(await User.findOne({ email: 'new@example.com' })).not.toBeNull();
+  });
+
+  it('should verify the email with a valid token', async () => {
+    const res = await request(app)
+      .get(`/api/auth/verify-email/${getVerificationToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.isEmailVerified).toBe(true);
+  });
+
+  it('should return 400 for an invalid verification token', async () => {
+    const res = await request(app)
+      .get('/api/auth/verify-email/invalid-token');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should throttle resending the verification email', async () => {
+    const res = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(429);
+    expect(mailTransport.messages.length).toBe(1);
+  });
+
+  it('should resend the verification email once the throttle window has passed', async () => {
+    await User.findByIdAndUpdate(userId, { emailVerificationSentAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+    const res = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(mailTransport.messages.length).toBe(2);
+  });
+
+  it('should return 400 when resending for a verified email', async () => {
+    await request(app).get(`/api/auth/verify-email/${getVerificationToken()}`);
+
+    const res = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Password reset', () => {
+  let mailTransport;
+
+  // Pull the raw reset token out of the captured email
+  const getResetToken = () => {
+    const message = mailTransport.messages[mailTransport.messages.length - 1];
+    return message.text.match(/reset-password\/([0-9a-f]+)/)[1];
+  };
+
+  beforeEach(async () => {
+    mailTransport = setTransport(createMemoryTransport());
+
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+    userId = user._id;
+    token = generateToken(user);
+  });
+
+  afterEach(() => {
+    resetTransport();
+  });
+
+  it('should send a reset email for a known address', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(mailTransport.messages.length).toBe(1);
+    expect(mailTransport.messages[0].to).toBe('test@example.com');
+  });
+
+  it('should respond the same way for an unknown address without sending mail', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'unknown@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(mailTransport.messages.length).toBe(0);
+  });
+
+  it('should reset the password and invalidate existing sessions', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+
+    const res = await request(app)
+      .post(`/api/auth/reset-password/${getResetToken()}`)
+      .send({ password: 'NewPassword123' });
+
+    expect(res.status).toBe(200);
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'NewPassword123' });
+    expect(loginRes.status).toBe(200);
+
+    const meRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+    expect(meRes.status).toBe(401);
+  });
+
+  it('should only allow a reset token to be used once', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+    const resetToken = getResetToken();
+
+    await request(app)
+      .post(`/api/auth/reset-password/${resetToken}`)
+      .send({ password: 'NewPassword123' });
+
+    const res = await request(app)
+      .post(`/api/auth/reset-password/${resetToken}`)
+      .send({ password: 'OtherPassword123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should reject an expired reset token', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+
+    await User.findByIdAndUpdate(userId, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .post(`/api/auth/reset-password/${getResetToken()}`)
+      .send({ password: 'NewPassword123' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for weak new password', async () => {
+    const res = await request(app)
+      .post('/api/auth/reset-password/some-token')
+      .send({ password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+});
+
 describe('POST /api/auth/logout', () => {
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+    userId = user._id;
+    token = generateToken(user);
+  });
+
   it('should return success message', async () => {
     const res = await request(app)
-      .post('/api/auth/logout');
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
 
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('message', 'Logged out successfully');
   });
+
+  it('should reject the access token after logout', async () => {
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should revoke outstanding refresh tokens', async () => {
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' });
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${loginRes.body.token}`);
+
+    const res = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken: loginRes.body.refreshToken });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout');
+
+    expect(res.status).toBe(401);
+  });
 });
 
 describe('POST /api/auth/refresh-token', () => {
-  it('should return placeholder message', async () => {
+  let refreshToken;
+
+  beforeEach(async () => {
+    await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+
     const res = await request(app)
-      .post('/api/auth/refresh-token');
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' });
+    refreshToken = res.body.refreshToken;
+  });
+
+  it('should rotate the refresh token and issue a new access token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken });
 
     expect(res.status).toBe(200);
-    expect(res.body).toHaveProperty('message');
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+    expect(res.body.refreshToken).not.toBe(refreshToken);
   });
-}); 
\ No newline at end of file
+
+  it('should revoke the whole token family when a rotated token is reused', async () => {
+    const first = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken });
+
+    const reuse = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken });
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body).toHaveProperty('error');
+
+    // The token issued by the legitimate rotation is now revoked too
+    const res = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken: first.body.refreshToken });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 401 for an unknown refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken: 'unknown-token' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 401 for an expired refresh token', async () => {
+    await RefreshToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 when no refresh token provided', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh-token');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+});
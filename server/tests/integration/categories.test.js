@@ -0,0 +1,352 @@
+// categories.test.js - Integration tests for categories API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let userToken;
+let adminToken;
+let userId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  // Create user
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+  userToken = generateToken(user);
+
+  // Create admin
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('GET /api/categories', () => {
+  beforeEach(async () => {
+    const technology = await Category.create({ name: 'Technology', order: 1 });
+    await Category.create({ name: 'JavaScript', parent: technology._id });
+    await Category.create({ name: 'Travel', order: 2 });
+    await Category.create({ name: 'Archived', isActive: false });
+  });
+
+  it('should return a flat list of active categories', async () => {
+    const res = await request(app)
+      .get('/api/categories');
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories.length).toBe(3);
+    expect(res.body.categories.map(c => c.name)).not.toContain('Archived');
+  });
+
+  it('should return categories as a tree', async () => {
+    const res = await request(app)
+      .get('/api/categories?format=tree');
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories.length).toBe(2);
+    expect(res.body.categories[0].name).toBe('Technology');
+    expect(res.body.categories[0].children[0].name).toBe('JavaScript');
+  });
+
+  it('should return 400 for an invalid format', async () => {
+    const res = await request(app)
+      .get('/api/categories?format=graph');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+});
+
+describe('GET /api/categories?format=tree', () => {
+  it('should aggregate published post counts up the tree', async () => {
+    const technology = await Category.create({ name: 'Technology' });
+    const javascript = await Category.create({ name: 'JavaScript', parent: technology._id });
+    const react = await Category.create({ name: 'React', parent: javascript._id });
+
+    await Post.create([
+      { title: 'Tech Post', content: 'Technology content', author: userId, category: technology._id, slug: 'tech-post', status: 'published' },
+      { title: 'React Post', content: 'React post content', author: userId, category: react._id, slug: 'react-post', status: 'published' },
+      { title: 'React Draft', content: 'React draft content', author: userId, category: react._id, slug: 'react-draft', status: 'draft' }
+    ]);
+
+    const res = await request(app)
+      .get('/api/categories?format=tree');
+
+    expect(res.status).toBe(200);
+    const [root] = res.body.categories;
+    expect(root.postCount).toBe(1);
+    expect(root.totalPostCount).toBe(2);
+    expect(root.children[0].totalPostCount).toBe(1);
+    expect(root.children[0].children[0].name).toBe('React');
+    expect(root.children[0].children[0].postCount).toBe(1);
+  });
+});
+
+describe('GET /api/categories/slug/:slug', () => {
+  it('should return a category by slug', async () => {
+    await Category.create({ name: 'Web Development' });
+
+    const res = await request(app)
+      .get('/api/categories/slug/web-development');
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.name).toBe('Web Development');
+    expect(res.body).toHaveProperty('children');
+  });
+
+  it('should return 404 for an unknown slug', async () => {
+    const res = await request(app)
+      .get('/api/categories/slug/unknown');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toHaveProperty('error');
+  });
+});
+
+describe('Category slugs', () => {
+  it('should add a numeric suffix when names produce the same slug', async () => {
+    const first = await Category.create({ name: 'C++' });
+    const second = await Category.create({ name: 'C#' });
+
+    expect(first.slug).toBe('c');
+    expect(second.slug).toBe('c-2');
+  });
+
+  it('should redirect old slugs after a rename', async () => {
+    const category = await Category.create({ name: 'Web Development' });
+
+    await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Web Engineering' });
+
+    const res = await request(app)
+      .get('/api/categories/slug/web-development');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/categories/slug/web-engineering');
+  });
+});
+
+describe('POST /api/categories', () => {
+  it('should create a category and generate its slug when admin', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Web Development', color: '#112233' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.slug).toBe('web-development');
+    expect(res.body.category.color).toBe('#112233');
+  });
+
+  it('should return 404 for a non-existent parent', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Orphan', parent: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 400 for an invalid color', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Colorful', color: 'red' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 403 when not admin', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Technology' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .send({ name: 'Technology' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('PUT /api/categories/:id', () => {
+  it('should deactivate a category', async () => {
+    const category = await Category.create({ name: 'Technology' });
+
+    const res = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.isActive).toBe(false);
+  });
+
+  it('should return 400 when a category is made its own parent', async () => {
+    const category = await Category.create({ name: 'Technology' });
+
+    const res = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parent: category._id });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Category hierarchy cycles', () => {
+  it('should reject nesting a category under its own descendant', async () => {
+    const technology = await Category.create({ name: 'Technology' });
+    const javascript = await Category.create({ name: 'JavaScript', parent: technology._id });
+    const react = await Category.create({ name: 'React', parent: javascript._id });
+
+    const res = await request(app)
+      .put(`/api/categories/${technology._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parent: react._id });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+
+    const unchanged = await Category.findById(technology._id);
+    expect(unchanged.parent).toBeNull();
+  });
+});
+
+describe('PUT /api/categories/reorder', () => {
+  it('should update the order of several categories', async () => {
+    const first = await Category.create({ name: 'First', order: 1 });
+    const second = await Category.create({ name: 'Second', order: 2 });
+
+    const res = await request(app)
+      .put('/api/categories/reorder')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        categories: [
+          { id: first._id, order: 2 },
+          { id: second._id, order: 1 }
+        ]
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories.map(c => c.name)).toEqual(['Second', 'First']);
+  });
+
+  it('should return 404 when a category does not exist', async () => {
+    const res = await request(app)
+      .put('/api/categories/reorder')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ categories: [{ id: new mongoose.Types.ObjectId(), order: 1 }] });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/categories/:id', () => {
+  let categoryId;
+  let otherCategoryId;
+
+  beforeEach(async () => {
+    const category = await Category.create({ name: 'Technology' });
+    categoryId = category._id;
+
+    const other = await Category.create({ name: 'Science' });
+    otherCategoryId = other._id;
+  });
+
+  it('should delete an empty category', async () => {
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Category.findById(categoryId)).toBeNull();
+  });
+
+  it('should return 409 when the category still has posts', async () => {
+    await Post.create({
+      title: 'Test Post',
+      content: 'Test post content',
+      author: userId,
+      category: categoryId,
+      slug: 'test-post'
+    });
+
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+    expect(await Category.findById(categoryId)).not.toBeNull();
+  });
+
+  it('should reassign posts before deleting the category', async () => {
+    const post = await Post.create({
+      title: 'Test Post',
+      content: 'Test post content',
+      author: userId,
+      category: categoryId,
+      slug: 'test-post'
+    });
+
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}?reassignTo=${otherCategoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.reassignedPosts).toBe(1);
+
+    const updatedPost = await Post.findById(post._id);
+    expect(updatedPost.category.toString()).toBe(otherCategoryId.toString());
+  });
+
+  it('should return 409 when the category has subcategories', async () => {
+    await Category.create({ name: 'JavaScript', parent: categoryId });
+
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,477 @@
+// comments.test.js - Integration tests for post comments API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let userToken;
+let otherToken;
+let adminToken;
+let userId;
+let otherUserId;
+let postId;
+let categoryId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  // Create post author
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+  userToken = generateToken(user);
+
+  // Create another user
+  const other = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'Password123'
+  });
+  otherUserId = other._id;
+  otherToken = generateToken(other);
+
+  // Create admin
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+
+  // Create category
+  const category = await Category.create({
+    name: 'Technology',
+    slug: 'technology',
+    description: 'Technology related posts'
+  });
+  categoryId = category._id;
+
+  // Create post
+  const post = await Post.create({
+    title: 'Test Post',
+    content: 'Test content',
+    author: userId,
+    category: category._id,
+    slug: 'test-post',
+    status: 'published'
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should add comment to post', async () => {
+    const commentData = {
+      content: 'Great post!'
+    };
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send(commentData);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveProperty('message', 'Comment added successfully');
+    expect(res.body.comment.content).toBe(commentData.content);
+    expect(res.body.comment.author.username).toBe('otheruser');
+
+    // Verify comment is stored and counted
+    const comments = await Comment.find({ post: postId });
+    expect(comments.length).toBe(1);
+
+    const updatedPost = await Post.findById(postId);
+    expect(updatedPost.commentCount).toBe(1);
+  });
+
+  it('should add a reply to a comment', async () => {
+    const parent = await Comment.addToPost({ _id: postId }, userId, 'First!');
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Reply', parent: parent._id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.parent).toBe(parent._id.toString());
+
+    const updatedParent = await Comment.findById(parent._id);
+    expect(updatedParent.replyCount).toBe(1);
+  });
+
+  it('should return 404 when replying to a comment on another post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Reply', parent: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 400 for missing comment content', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 400 for comment too long', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ content: 'a'.repeat(1001) });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 404 for non-existent post', async () => {
+    const nonExistentId = new mongoose.Types.ObjectId();
+
+    const res = await request(app)
+      .post(`/api/posts/${nonExistentId}/comments`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ content: 'Great post!' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .send({ content: 'Great post!' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('error');
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  beforeEach(async () => {
+    for (let i = 1; i <= 15; i++) {
+      await Comment.addToPost({ _id: postId }, otherUserId, `Comment ${i}`);
+    }
+  });
+
+  it('should paginate top-level comments', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/comments?page=2&limit=10`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments.length).toBe(5);
+    expect(res.body.comments[0].content).toBe('Comment 11');
+    expect(res.body.pagination.total).toBe(15);
+    expect(res.body.pagination.pages).toBe(2);
+  });
+
+  it('should list replies to a comment', async () => {
+    const parent = await Comment.findOne({ content: 'Comment 1' });
+    await Comment.addToPost({ _id: postId }, userId, 'A reply', parent);
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/comments?parent=${parent._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments.length).toBe(1);
+    expect(res.body.comments[0].content).toBe('A reply');
+  });
+
+  it('should not embed comments in the post response', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post).not.toHaveProperty('comments');
+    expect(res.body.post.commentCount).toBe(15);
+  });
+
+  it('should hide comments on unpublished posts from other users', async () => {
+    await Post.findByIdAndUpdate(postId, { status: 'draft' });
+
+    const anonymous = await request(app)
+      .get(`/api/posts/${postId}/comments`);
+    expect(anonymous.status).toBe(404);
+
+    const other = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Comment on a draft' });
+    expect(other.status).toBe(404);
+
+    const author = await request(app)
+      .get(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(author.status).toBe(200);
+    expect(author.body.pagination.total).toBe(15);
+  });
+});
+
+describe('PUT /api/posts/:id/comments/:commentId', () => {
+  let commentId;
+
+  beforeEach(async () => {
+    const comment = await Comment.addToPost({ _id: postId }, otherUserId, 'Original');
+    commentId = comment._id;
+  });
+
+  it('should let the author edit the comment', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Edited' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.content).toBe('Edited');
+    expect(res.body.comment.editedAt).toBeTruthy();
+  });
+
+  it('should return 403 when another user edits the comment', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ content: 'Edited' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toHaveProperty('error');
+  });
+});
+
+describe('DELETE /api/posts/:id/comments/:commentId', () => {
+  let commentId;
+
+  beforeEach(async () => {
+    const comment = await Comment.addToPost({ _id: postId }, otherUserId, 'To be deleted');
+    commentId = comment._id;
+  });
+
+  it('should leave a tombstone when the author deletes the comment', async () => {
+    await Comment.addToPost({ _id: postId }, userId, 'Reply', { _id: commentId });
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.isDeleted).toBe(true);
+    expect(res.body.comment.content).toBeNull();
+
+    // The tombstone keeps its place in the thread
+    const listRes = await request(app)
+      .get(`/api/posts/${postId}/comments`);
+    expect(listRes.body.comments.length).toBe(1);
+    expect(listRes.body.comments[0].content).toBeNull();
+    expect(listRes.body.comments[0].replyCount).toBe(1);
+
+    const updatedPost = await Post.findById(postId);
+    expect(updatedPost.commentCount).toBe(1);
+  });
+
+  it('should let the post owner delete the comment', async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should let an admin delete the comment', async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 403 for other users', async () => {
+    const stranger = await User.create({
+      username: 'stranger',
+      email: 'stranger@example.com',
+      password: 'Password123'
+    });
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${generateToken(stranger)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Comment moderation', () => {
+  it('should return 403 when comments are disabled for the post', async () => {
+    await Post.findByIdAndUpdate(postId, { commentMode: 'disabled' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Hello' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should hold comments when the category is moderated', async () => {
+    await Category.findByIdAndUpdate(categoryId, { commentMode: 'moderated' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Hello' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.status).toBe('pending');
+
+    const listRes = await request(app)
+      .get(`/api/posts/${postId}/comments`);
+    expect(listRes.body.comments.length).toBe(0);
+
+    const updatedPost = await Post.findById(postId);
+    expect(updatedPost.commentCount).toBe(0);
+  });
+
+  it('should hold edits to approved comments when the post is moderated', async () => {
+    const comment = await Comment.addToPost({ _id: postId }, otherUserId, 'Harmless comment');
+    await Post.findByIdAndUpdate(postId, { commentMode: 'moderated' });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Edited after approval' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.status).toBe('pending');
+
+    const updatedPost = await Post.findById(postId);
+    expect(updatedPost.commentCount).toBe(0);
+  });
+
+  it('should save held edits together with the pending status', async () => {
+    const comment = await Comment.addToPost({ _id: postId }, otherUserId, 'Harmless comment');
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Buy now https://a.com https://b.com https://c.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.status).toBe('pending');
+    expect(res.body.comment.content).toBe('Buy now https://a.com https://b.com https://c.com');
+    expect(res.body.comment.moderationReason).toMatch(/Too many links/);
+
+    const listed = await request(app).get(`/api/posts/${postId}/comments`);
+    expect(listed.body.comments.length).toBe(0);
+  });
+
+  it('should not save an edit to a comment that was moderated meanwhile', async () => {
+    const comment = await Comment.addToPost({ _id: postId }, otherUserId, 'Harmless comment');
+    await Comment.findByIdAndUpdate(comment._id, { status: 'rejected' });
+
+    const updated = await comment.setStatus('pending', { changes: { content: 'Edited' } });
+
+    expect(updated.status).toBe('rejected');
+    expect(updated.content).toBe('Harmless comment');
+  });
+
+  it('should let the post setting override a moderated category', async () => {
+    await Category.findByIdAndUpdate(categoryId, { commentMode: 'moderated' });
+    await Post.findByIdAndUpdate(postId, { commentMode: 'open' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Hello' });
+
+    expect(res.body.comment.status).toBe('approved');
+  });
+
+  it('should auto-hold comments that look like spam', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Buy now https://a.com https://b.com https://c.com' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.status).toBe('pending');
+    expect(res.body.comment.moderationReason).toMatch(/Too many links/);
+  });
+
+  it('should list pending comments for the post author and let them approve', async () => {
+    const pending = await Comment.addToPost({ _id: postId }, otherUserId, 'Held', null, { status: 'pending' });
+
+    const queueRes = await request(app)
+      .get('/api/moderation/comments')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(queueRes.status).toBe(200);
+    expect(queueRes.body.comments.length).toBe(1);
+
+    const res = await request(app)
+      .put(`/api/moderation/comments/${pending._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ status: 'approved' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.status).toBe('approved');
+
+    const updatedPost = await Post.findById(postId);
+    expect(updatedPost.commentCount).toBe(1);
+  });
+
+  it('should let an admin reject pending comments', async () => {
+    const pending = await Comment.addToPost({ _id: postId }, otherUserId, 'Held', null, { status: 'pending' });
+
+    const res = await request(app)
+      .put(`/api/moderation/comments/${pending._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'rejected', reason: 'Off topic' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.status).toBe('rejected');
+  });
+
+  it('should not show other authors\' queues to regular users', async () => {
+    await Comment.addToPost({ _id: postId }, userId, 'Held', null, { status: 'pending' });
+
+    const queueRes = await request(app)
+      .get('/api/moderation/comments')
+      .set('Authorization', `Bearer ${otherToken}`);
+    expect(queueRes.body.comments.length).toBe(0);
+
+    const pending = await Comment.findOne({ status: 'pending' });
+    const res = await request(app)
+      .put(`/api/moderation/comments/${pending._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ status: 'approved' });
+
+    expect(res.status).toBe(403);
+  });
+});
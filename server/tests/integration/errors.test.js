@@ -0,0 +1,132 @@
+// errors.test.js - Integration tests for problem details error responses
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let userId;
+let userToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+  userToken = generateToken(user);
+
+  await Category.create({
+    name: 'Technology',
+    slug: 'technology'
+  });
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('Error responses', () => {
+  it('should describe missing resources with a stable code', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${new mongoose.Types.ObjectId()}`)
+      .set('X-Request-Id', 'trace-123');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.headers['x-request-id']).toBe('trace-123');
+    expect(res.body).toMatchObject({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Post not found',
+      code: 'POST_NOT_FOUND',
+      requestId: 'trace-123'
+    });
+  });
+
+  it('should list field errors when validation fails', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'ab', password: 'Secret123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      { field: 'title', location: 'body', message: 'Title must be between 3 and 200 characters' }
+    ]));
+    expect(JSON.stringify(res.body)).not.toContain('Secret123');
+  });
+
+  it('should tell expired tokens apart from invalid ones', async () => {
+    const expired = jwt.sign(
+      { userId, exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET || 'your-secret-key'
+    );
+
+    const expiredRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${expired}`);
+    expect(expiredRes.status).toBe(401);
+    expect(expiredRes.body.code).toBe('TOKEN_EXPIRED');
+
+    const invalidRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', 'Bearer not-a-token');
+    expect(invalidRes.body.code).toBe('TOKEN_INVALID');
+
+    const missingRes = await request(app).get('/api/auth/me');
+    expect(missingRes.body.code).toBe('TOKEN_MISSING');
+  });
+
+  it('should name missing permissions', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Science' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PERMISSION_DENIED');
+  });
+
+  it('should describe unknown routes', async () => {
+    const res = await request(app).get('/api/unknown');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('ROUTE_NOT_FOUND');
+    expect(res.body.instance).toBe('/api/unknown');
+    expect(res.body.requestId).toBeDefined();
+  });
+
+  it('should reject malformed JSON bodies', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_JSON');
+  });
+});
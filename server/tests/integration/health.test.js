@@ -0,0 +1,76 @@
+// health.test.js - Integration tests for the liveness and readiness checks
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('GET /api/health/live', () => {
+  it('should report the process as alive', async () => {
+    const res = await request(app).get('/api/health/live');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+    expect(res.body.uptime).toEqual(expect.any(Number));
+  });
+});
+
+describe('GET /api/health/ready', () => {
+  it('should be ready when MongoDB answers a ping', async () => {
+    const res = await request(app).get('/api/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'OK',
+      shuttingDown: false,
+      checks: { database: { status: 'up', latencyMs: expect.any(Number) } }
+    });
+  });
+
+  it('should not be ready without a database connection', async () => {
+    await mongoose.disconnect();
+
+    try {
+      const res = await request(app).get('/api/health/ready');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toMatchObject({
+        status: 'UNAVAILABLE',
+        checks: { database: { status: 'down', error: 'Not connected' } }
+      });
+    } finally {
+      await mongoose.connect(mongoServer.getUri());
+    }
+  });
+
+  it('should not be rate limited', async () => {
+    const responses = [];
+    for (let i = 0; i < 105; i++) {
+      responses.push(await request(app).get('/api/health/live'));
+    }
+
+    expect(responses.every(res => res.status === 200)).toBe(true);
+  });
+});
+
+describe('GET /api/health', () => {
+  it('should keep the basic health check', async () => {
+    const res = await request(app).get('/api/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+});
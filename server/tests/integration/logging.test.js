@@ -0,0 +1,102 @@
+// logging.test.js - Integration tests for request IDs and request logging
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const { setLogOutput, resetLogOutput, createMemoryLogOutput } = require('../../src/utils/logger');
+
+let mongoServer;
+let output;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  output = setLogOutput(createMemoryLogOutput());
+
+  await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+});
+
+afterEach(async () => {
+  resetLogOutput();
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const findRequestEntry = () => output.entries.find(entry => entry.msg === 'Request completed');
+
+describe('Request logging', () => {
+  it('should log each request once with its ID and route', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${new mongoose.Types.ObjectId()}`)
+      .set('X-Request-Id', 'trace-123');
+
+    expect(res.headers['x-request-id']).toBe('trace-123');
+    expect(output.entries.filter(entry => entry.msg === 'Request completed').length).toBe(1);
+    expect(findRequestEntry()).toMatchObject({
+      level: 'warn',
+      requestId: 'trace-123',
+      method: 'GET',
+      route: '/api/posts/:id',
+      status: 404
+    });
+  });
+
+  it('should generate request IDs and return them in errors', async () => {
+    const res = await request(app).get('/api/unknown');
+
+    expect(res.headers['x-request-id']).toBeDefined();
+    expect(res.body.requestId).toBe(res.headers['x-request-id']);
+    expect(findRequestEntry().requestId).toBe(res.headers['x-request-id']);
+  });
+
+  it('should use the route template of nested routers', async () => {
+    const postId = new mongoose.Types.ObjectId();
+    await request(app).get(`/api/posts/${postId}/comments`);
+
+    expect(findRequestEntry().route).toBe('/api/posts/:id/comments');
+    expect(findRequestEntry().url).toBe(`/api/posts/${postId}/comments`);
+  });
+
+  it('should keep tokens out of logged URLs', async () => {
+    await request(app)
+      .post('/api/auth/reset-password/secret-reset-token')
+      .send({ password: 'NewPassword123' });
+
+    const logged = JSON.stringify(output.entries);
+    expect(logged).not.toContain('secret-reset-token');
+    expect(logged).not.toContain('NewPassword123');
+    expect(findRequestEntry().url).toBe('/api/auth/reset-password/[REDACTED]');
+  });
+
+  it('should log the user of authenticated requests', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' });
+    output.clear();
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${login.body.token}`);
+
+    expect(findRequestEntry().userId).toBe(login.body.user._id);
+  });
+});
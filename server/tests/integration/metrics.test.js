@@ -0,0 +1,180 @@
+// metrics.test.js - Integration tests for the Prometheus metrics endpoint
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { runScheduledJobs } = require('../../src/utils/scheduler');
+const { resetMetrics } = require('../../src/utils/metrics');
+
+let mongoServer;
+let userId;
+let userToken;
+let categoryId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  resetMetrics();
+
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+  userToken = generateToken(user);
+
+  const category = await Category.create({
+    name: 'Technology',
+    slug: 'technology'
+  });
+  categoryId = category._id;
+});
+
+afterEach(async () => {
+  delete process.env.METRICS_TOKEN;
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const getMetrics = () => request(app).get('/metrics');
+
+describe('GET /metrics', () => {
+  it('should return metrics in the Prometheus text format', async () => {
+    const res = await getMetrics();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toContain('# TYPE http_requests_total counter');
+    expect(res.text).toContain('# TYPE http_request_duration_seconds histogram');
+  });
+
+  it('should label requests with route templates', async () => {
+    const postId = new mongoose.Types.ObjectId();
+    await request(app).get(`/api/posts/${postId}`);
+    await request(app).get(`/api/posts/${new mongoose.Types.ObjectId()}`);
+    await request(app).get('/api/no-such-route');
+
+    const res = await getMetrics();
+
+    expect(res.text).toContain('http_requests_total{method="GET",route="/api/posts/:id",status="404"} 2');
+    expect(res.text).toContain('http_request_duration_seconds_count{method="GET",route="/api/posts/:id"} 2');
+    expect(res.text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(res.text).not.toContain(postId.toString());
+  });
+
+  it('should count errors by status and code', async () => {
+    await request(app).get(`/api/posts/${new mongoose.Types.ObjectId()}`);
+    await request(app).get('/api/auth/me');
+
+    const res = await getMetrics();
+
+    expect(res.text).toContain('http_errors_total{status="404",code="POST_NOT_FOUND"} 1');
+    expect(res.text).toContain('http_errors_total{status="401",code="TOKEN_MISSING"} 1');
+  });
+
+  it('should report the MongoDB connection and pool', async () => {
+    const res = await getMetrics();
+
+    expect(res.text).toContain('mongodb_connection_state 1');
+    expect(res.text).toMatch(/mongodb_pool_connections\{state="open"\} [1-9]/);
+    expect(res.text).toMatch(/mongodb_pool_max_size [1-9]/);
+  });
+
+  it('should require the metrics token when one is configured', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const denied = await getMetrics();
+    expect(denied.status).toBe(401);
+    expect(denied.body.code).toBe('METRICS_TOKEN_INVALID');
+
+    const allowed = await getMetrics().set('Authorization', 'Bearer scrape-secret');
+    expect(allowed.status).toBe(200);
+  });
+});
+
+describe('Domain metrics', () => {
+  it('should count registrations and logins', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'newuser', email: 'new@example.com', password: 'Password123' });
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' });
+
+    const res = await getMetrics();
+
+    expect(res.text).toContain('user_registrations_total 1');
+    expect(res.text).toContain('user_logins_total 1');
+  });
+
+  it('should not count resent verification emails as registrations', async () => {
+    const resend = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(resend.status).toBe(200);
+
+    const res = await getMetrics();
+
+    expect(res.text).toContain('user_registrations_total 0');
+  });
+
+  it('should count posts published through the API and the scheduler', async () => {
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Published Post', content: 'Content of the published post', category: categoryId, status: 'published' });
+
+    await Post.create({
+      title: 'Scheduled Post',
+      content: 'Content of the scheduled post',
+      author: userId,
+      category: categoryId,
+      status: 'scheduled',
+      publishAt: new Date(Date.now() + 60 * 1000)
+    });
+    await runScheduledJobs(new Date(Date.now() + 2 * 60 * 1000));
+
+    const res = await getMetrics();
+
+    expect(res.text).toContain('posts_published_total{source="api"} 1');
+    expect(res.text).toContain('posts_published_total{source="scheduler"} 1');
+  });
+
+  it('should count comments created', async () => {
+    const post = await Post.create({
+      title: 'Commented Post',
+      content: 'Content of the commented post',
+      author: userId,
+      category: categoryId,
+      status: 'published'
+    });
+
+    await request(app)
+      .post(`/api/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ content: 'A friendly comment' });
+
+    const res = await getMetrics();
+
+    expect(res.text).toContain('comments_created_total 1');
+  });
+});
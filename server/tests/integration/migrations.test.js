@@ -0,0 +1,124 @@
+// migrations.test.js - Integration tests for the data migrations
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { runMigrations } = require('../../src/migrations');
+const User = require('../../src/models/User');
+
+let mongoServer;
+let db;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+  db = mongoose.connection.db;
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  const collections = await db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+});
+
+describe('runMigrations', () => {
+  it('should apply each migration once', async () => {
+    const first = await runMigrations();
+    const second = await runMigrations();
+
+    expect(first).toContain('verify-existing-users');
+    expect(second).toEqual([]);
+    expect(await db.collection('migrations').countDocuments({ name: 'verify-existing-users' })).toBe(1);
+  });
+});
+
+describe('verify-existing-users', () => {
+  it('should verify accounts created before email verification', async () => {
+    await db.collection('users').insertMany([
+      { username: 'legacy', email: 'legacy@example.com', password: 'hash' },
+      { username: 'pending', email: 'pending@example.com', password: 'hash', isEmailVerified: false }
+    ]);
+
+    await runMigrations();
+
+    expect((await db.collection('users').findOne({ username: 'legacy' })).isEmailVerified).toBe(true);
+    expect((await db.collection('users').findOne({ username: 'pending' })).isEmailVerified).toBe(false);
+  });
+});
+
+describe('move-embedded-comments', () => {
+  it('should move embedded comments into the comments collection', async () => {
+    const authorId = new mongoose.Types.ObjectId();
+    const commentId = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2024-01-02T03:04:05Z');
+    const { insertedId: postId } = await db.collection('posts').insertOne({
+      title: 'Legacy Post',
+      content: 'Legacy post content',
+      status: 'published',
+      comments: [
+        { _id: commentId, user: authorId, content: 'First!', createdAt },
+        { _id: new mongoose.Types.ObjectId(), user: authorId, content: 'Second', createdAt }
+      ]
+    });
+
+    await runMigrations();
+
+    const post = await db.collection('posts').findOne({ _id: postId });
+    expect(post).not.toHaveProperty('comments');
+    expect(post.commentCount).toBe(2);
+
+    const comment = await db.collection('comments').findOne({ _id: commentId });
+    expect(comment).toMatchObject({ post: postId, author: authorId, parent: null, content: 'First!', status: 'approved', createdAt });
+  });
+});
+
+describe('replace-post-text-index', () => {
+  it('should replace the old post text index', async () => {
+    // Start from the text index created before tags were searchable
+    const posts = db.collection('posts');
+    await posts.drop().catch(() => {});
+    await posts.createIndex({ title: 'text', content: 'text' });
+
+    await runMigrations();
+
+    const textIndexes = (await posts.indexes()).filter(index => index.key._fts === 'text');
+    expect(textIndexes.map(index => index.name)).toEqual(['post_text_search']);
+    expect(textIndexes[0].weights).toEqual({ title: 10, tags: 5, content: 1 });
+  });
+});
+
+describe('normalize-post-tags', () => {
+  it('should normalize the tags of existing posts', async () => {
+    const { insertedIds } = await db.collection('posts').insertMany([
+      { title: 'Legacy Post', tags: ['React', 'react', 'Web Dev'] },
+      { title: 'Tagged Post', tags: ['node'] }
+    ]);
+
+    await runMigrations();
+
+    expect((await db.collection('posts').findOne({ _id: insertedIds[0] })).tags).toEqual(['react', 'web-dev']);
+    expect((await db.collection('posts').findOne({ _id: insertedIds[1] })).tags).toEqual(['node']);
+  });
+});
+
+describe('convert-avatar-urls', () => {
+  it('should convert avatar URLs to images', async () => {
+    await db.collection('users').insertMany([
+      { username: 'linked', email: 'linked@example.com', profile: { avatar: 'https://example.com/me.png' } },
+      { username: 'empty', email: 'empty@example.com', profile: { avatar: '' } }
+    ]);
+
+    await runMigrations();
+
+    const linked = await User.findOne({ username: 'linked' });
+    expect(linked.profile.avatar.url).toBe('https://example.com/me.png');
+    expect(linked.profile.avatar.key).toBeUndefined();
+    expect((await db.collection('users').findOne({ username: 'empty' })).profile.avatar).toBeNull();
+  });
+});
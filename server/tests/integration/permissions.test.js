@@ -0,0 +1,290 @@
+// permissions.test.js - Integration tests for role-based permissions
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { resetRoles } = require('../../src/utils/permissions');
+
+let mongoServer;
+let rolesDirectory;
+let tokens;
+let users;
+let categoryId;
+let postId;
+
+const createUser = async (role) => {
+  const user = await User.create({
+    username: `${role}user`,
+    email: `${role}@example.com`,
+    password: 'Password123',
+    role
+  });
+  users[role] = user;
+  tokens[role] = generateToken(user);
+};
+
+// Write a roles file for ROLES_FILE
+const writeRolesFile = (roles) => {
+  const file = path.join(rolesDirectory, `roles-${new mongoose.Types.ObjectId()}.json`);
+  fs.writeFileSync(file, JSON.stringify(roles));
+  resetRoles();
+  return file;
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  rolesDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-'));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  fs.rmSync(rolesDirectory, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  tokens = {};
+  users = {};
+  for (const role of ['user', 'author', 'editor', 'moderator', 'admin']) {
+    await createUser(role);
+  }
+
+  const category = await Category.create({
+    name: 'Technology',
+    slug: 'technology'
+  });
+  categoryId = category._id;
+
+  const post = await Post.create({
+    title: 'Author Post',
+    content: 'Content written by the author',
+    author: users.author._id,
+    category: categoryId,
+    status: 'published'
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  delete process.env.ROLES_FILE;
+  resetRoles();
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('Post permissions', () => {
+  it('should let editors edit any post', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${tokens.editor}`)
+      .send({ title: 'Edited by the editor' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.title).toBe('Edited by the editor');
+  });
+
+  it('should not let moderators edit posts of others', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${tokens.moderator}`)
+      .send({ title: 'Edited by the moderator' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should let editors delete any post', async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${tokens.editor}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should require post:feature to feature a post', async () => {
+    const denied = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${tokens.author}`)
+      .send({ featured: true });
+    expect(denied.status).toBe(403);
+
+    const allowed = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${tokens.editor}`)
+      .send({ featured: true });
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.post.featured).toBe(true);
+  });
+
+  it('should let editors see the history of any post', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${tokens.editor}`);
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('Comment permissions', () => {
+  let commentId;
+
+  beforeEach(async () => {
+    const comment = await Comment.create({
+      content: 'A comment waiting for review',
+      author: users.user._id,
+      post: postId,
+      status: 'pending'
+    });
+    commentId = comment._id;
+  });
+
+  it('should let moderators moderate comments on any post', async () => {
+    const queue = await request(app)
+      .get('/api/moderation/comments')
+      .set('Authorization', `Bearer ${tokens.moderator}`);
+
+    expect(queue.status).toBe(200);
+    expect(queue.body.comments.length).toBe(1);
+
+    const res = await request(app)
+      .put(`/api/moderation/comments/${commentId}`)
+      .set('Authorization', `Bearer ${tokens.moderator}`)
+      .send({ status: 'approved' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not let roles without comment:moderate moderate other posts', async () => {
+    process.env.ROLES_FILE = writeRolesFile({ editor: ['post:edit:any'] });
+
+    const res = await request(app)
+      .put(`/api/moderation/comments/${commentId}`)
+      .set('Authorization', `Bearer ${tokens.editor}`)
+      .send({ status: 'approved' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Category permissions', () => {
+  it('should let editors manage categories', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${tokens.editor}`)
+      .send({ name: 'Science' });
+
+    expect(res.status).toBe(201);
+  });
+
+  it('should name the missing permission', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${tokens.author}`)
+      .send({ name: 'Science' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied. Missing permission: category:manage');
+  });
+});
+
+describe('User permissions', () => {
+  it('should list roles for user managers', async () => {
+    const res = await request(app)
+      .get('/api/users/roles')
+      .set('Authorization', `Bearer ${tokens.admin}`);
+
+    expect(res.status).toBe(200);
+    const editor = res.body.roles.find(role => role.name === 'editor');
+    expect(editor.permissions).toContain('post:edit:any');
+    expect(editor.assignable).toBe(true);
+    expect(res.body.permissions.map(permission => permission.name)).toContain('comment:moderate');
+  });
+
+  it('should let admins assign the new roles', async () => {
+    const res = await request(app)
+      .put(`/api/users/${users.user._id}`)
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ role: 'moderator' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('moderator');
+  });
+
+  it('should reject unknown roles', async () => {
+    const res = await request(app)
+      .put(`/api/users/${users.user._id}`)
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ role: 'superuser' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should not let user managers grant permissions they lack', async () => {
+    process.env.ROLES_FILE = writeRolesFile({ manager: ['user:view', 'user:manage'] });
+    await createUser('manager');
+
+    const grant = await request(app)
+      .put(`/api/users/${users.user._id}`)
+      .set('Authorization', `Bearer ${tokens.manager}`)
+      .send({ role: 'editor' });
+    expect(grant.status).toBe(403);
+
+    const revoke = await request(app)
+      .put(`/api/users/${users.admin._id}`)
+      .set('Authorization', `Bearer ${tokens.manager}`)
+      .send({ role: 'user' });
+    expect(revoke.status).toBe(403);
+
+    const status = await request(app)
+      .put(`/api/users/${users.user._id}`)
+      .set('Authorization', `Bearer ${tokens.manager}`)
+      .send({ isActive: false });
+    expect(status.status).toBe(200);
+  });
+
+  it('should return the permissions of the current user', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${tokens.moderator}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.permissions.sort()).toEqual(['comment:moderate', 'post:publish']);
+  });
+});
+
+describe('Configured roles', () => {
+  it('should stop users from publishing when the roles file takes the permission away', async () => {
+    process.env.ROLES_FILE = writeRolesFile({ user: [] });
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${tokens.user}`)
+      .send({ title: 'Published Post', content: 'Trying to publish this post', category: categoryId, status: 'published' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('You do not have permission to publish posts');
+
+    const draft = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${tokens.user}`)
+      .send({ title: 'Draft Post', content: 'Drafts need no permission', category: categoryId });
+
+    expect(draft.status).toBe(201);
+  });
+});
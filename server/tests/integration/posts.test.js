@@ -8,6 +8,8 @@ const User = require('../../src/models/User');
 const Post = require('../../src/models/Post');
 const Category = require('../../src/models/Category');
 const { generateToken } = require('../../src/utils/auth');
+const { flushViews } = require('../../src/utils/views');
+const { runScheduledJobs, startScheduler, stopScheduler } = require('../../src/utils/scheduler');
 
 let mongoServer;
 let userToken;
@@ -125,6 +127,50 @@ describe('GET /api/posts', () => {
     expect(res.body.posts[0].title).toBe('Test Post 1');
   });
 
+  it('should match search text literally instead of as a pattern', async () => {
+    const res = await request(app)
+      .get(`/api/posts?search=${encodeURIComponent('Test.*')}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.length).toBe(0);
+  });
+
+  it('should filter posts by any or all of several tags', async () => {
+    await Post.create([
+      {
+        title: 'React Post',
+        content: 'React content',
+        author: userId,
+        category: categoryId,
+        slug: 'react-post',
+        status: 'published',
+        tags: ['React', 'Frontend']
+      },
+      {
+        title: 'Vue Post',
+        content: 'Vue content',
+        author: userId,
+        category: categoryId,
+        slug: 'vue-post',
+        status: 'published',
+        tags: ['vue', 'frontend']
+      }
+    ]);
+
+    const single = await request(app)
+      .get('/api/posts?tag=react');
+    expect(single.body.posts.map(post => post.slug)).toEqual(['react-post']);
+
+    const any = await request(app)
+      .get('/api/posts?tag=React,Vue');
+    expect(any.body.posts.length).toBe(2);
+
+    const all = await request(app)
+      .get('/api/posts?tag=frontend&tag=vue&tagMatch=all');
+    expect(all.status).toBe(200);
+    expect(all.body.posts.map(post => post.slug)).toEqual(['vue-post']);
+  });
+
   it('should filter posts by category', async () => {
     const res = await request(app)
       .get(`/api/posts?category=${categoryId}`);
@@ -133,6 +179,33 @@ describe('GET /api/posts', () => {
     expect(res.body.posts.length).toBe(2);
   });
 
+  it('should include posts from subcategories when requested', async () => {
+    const subcategory = await Category.create({
+      name: 'JavaScript',
+      slug: 'javascript',
+      parent: categoryId
+    });
+
+    await Post.create({
+      title: 'Subcategory Post',
+      content: 'Subcategory content',
+      author: userId,
+      category: subcategory._id,
+      slug: 'subcategory-post',
+      status: 'published'
+    });
+
+    const exactRes = await request(app)
+      .get(`/api/posts?category=${categoryId}`);
+    expect(exactRes.body.posts.length).toBe(2);
+
+    const res = await request(app)
+      .get(`/api/posts?category=${categoryId}&includeDescendants=true`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.length).toBe(3);
+  });
+
   it('should sort posts by views', async () => {
     const res = await request(app)
       .get('/api/posts?sort=views&order=desc');
@@ -167,6 +240,69 @@ describe('GET /api/posts', () => {
     expect(res.body.pagination.limit).toBe(10);
   });
 
+  it('should page through posts with a cursor without skipping or repeating', async () => {
+    const posts = [];
+    for (let i = 3; i <= 7; i++) {
+      posts.push({
+        title: `Test Post ${i}`,
+        content: `Test content ${i}`,
+        author: userId,
+        category: categoryId,
+        slug: `test-post-${i}`,
+        status: 'published'
+      });
+    }
+    await Post.insertMany(posts);
+
+    const first = await request(app)
+      .get('/api/posts?limit=4&count=false');
+
+    expect(first.status).toBe(200);
+    expect(first.body.posts.length).toBe(4);
+    expect(first.body.pagination).not.toHaveProperty('total');
+    expect(first.body.pagination.nextCursor).toBeTruthy();
+    expect(first.headers.link).toContain('rel="next"');
+
+    // A post published in between must not shift the next page
+    await Post.create({
+      title: 'Newer Post',
+      content: 'Newer content',
+      author: userId,
+      category: categoryId,
+      slug: 'newer-post',
+      status: 'published'
+    });
+
+    const second = await request(app)
+      .get(`/api/posts?limit=4&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(second.status).toBe(200);
+    expect(second.body.posts.length).toBe(3);
+    expect(second.body.pagination.nextCursor).toBeNull();
+    expect(second.headers.link).not.toContain('rel="next"');
+
+    const ids = [...first.body.posts, ...second.body.posts].map(post => post._id);
+    expect(new Set(ids).size).toBe(7);
+  });
+
+  it('should return 400 for an invalid cursor', async () => {
+    const res = await request(app)
+      .get('/api/posts?cursor=garbage');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 400 when combining page and cursor', async () => {
+    const first = await request(app)
+      .get('/api/posts?limit=1');
+
+    const res = await request(app)
+      .get(`/api/posts?page=2&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(res.status).toBe(400);
+  });
+
   it('should return 403 for draft posts when not authenticated', async () => {
     const res = await request(app)
       .get('/api/posts?status=draft');
@@ -174,6 +310,37 @@ describe('GET /api/posts', () => {
     expect(res.status).toBe(403);
     expect(res.body).toHaveProperty('error');
   });
+
+  it('should return 403 for scheduled posts when not authenticated', async () => {
+    await Post.create({
+      title: 'Scheduled Post',
+      content: 'Scheduled content',
+      author: userId,
+      category: categoryId,
+      status: 'scheduled',
+      publishAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const res = await request(app)
+      .get('/api/posts?status=scheduled');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list the unpublished posts of the caller', async () => {
+    const other = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'Password123'
+    });
+
+    const res = await request(app)
+      .get('/api/posts?status=draft')
+      .set('Authorization', `Bearer ${generateToken(other)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.length).toBe(0);
+  });
 });
 
 describe('GET /api/posts/:id', () => {
@@ -216,7 +383,37 @@ describe('GET /api/posts/:id', () => {
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('post');
     expect(res.body.post.title).toBe('Test Post');
-    expect(res.body.post.views).toBe(11); // Should increment
+
+    // The view is counted in the background
+    await flushViews();
+    const updatedPost = await Post.findById(post._id);
+    expect(updatedPost.views).toBe(11);
+  });
+
+  it('should count repeat views from the same viewer once', async () => {
+    const post = await Post.findOne({ title: 'Test Post' });
+
+    await request(app).get(`/api/posts/${post._id}`).set('Authorization', `Bearer ${userToken}`);
+    await request(app).get(`/api/posts/${post._id}`).set('Authorization', `Bearer ${userToken}`);
+    await request(app).get(`/api/posts/${post._id}`);
+    await flushViews();
+
+    const updatedPost = await Post.findById(post._id);
+    expect(updatedPost.views).toBe(12);
+  });
+
+  it('should not lose concurrent views from different viewers', async () => {
+    const post = await Post.findOne({ title: 'Test Post' });
+
+    await Promise.all(Array.from({ length: 5 }, (_, i) => (
+      request(app)
+        .get(`/api/posts/${post._id}`)
+        .set('User-Agent', `agent-${i}`)
+    )));
+    await flushViews();
+
+    const updatedPost = await Post.findById(post._id);
+    expect(updatedPost.views).toBe(15);
   });
 
   it('should return post by slug', async () => {
@@ -228,6 +425,26 @@ describe('GET /api/posts/:id', () => {
     expect(res.body.post.title).toBe('Test Post');
   });
 
+  it('should only show unpublished posts to their author', async () => {
+    const post = await Post.create({
+      title: 'Draft Post',
+      content: 'Draft post content',
+      author: userId,
+      category: categoryId,
+      slug: 'draft-post',
+      status: 'draft'
+    });
+
+    const anonymous = await request(app)
+      .get(`/api/posts/${post._id}`);
+    expect(anonymous.status).toBe(404);
+
+    const author = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(author.status).toBe(200);
+  });
+
   it('should return 404 for non-existent post', async () => {
     const nonExistentId = new mongoose.Types.ObjectId();
     const res = await request(app)
@@ -287,6 +504,85 @@ describe('POST /api/posts', () => {
     expect(res.body.post.author).toBe(userId.toString());
   });
 
+  it('should give posts created at the same time unique slugs', async () => {
+    // The unique slug index must exist for concurrent saves to collide
+    await Post.init();
+
+    const responses = await Promise.all([1, 2, 3, 4].map(() => request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Same Title', content: 'Same post content', category: categoryId })));
+
+    expect(responses.map(res => res.status)).toEqual([201, 201, 201, 201]);
+    expect(new Set(responses.map(res => res.body.post.slug)).size).toBe(4);
+  });
+
+  it('should normalize the tags of a new post', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        title: 'Tagged Post',
+        content: 'Tagged post content',
+        category: categoryId,
+        tags: ['React', ' #react ', 'Web Dev']
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.tags).toEqual(['react', 'web-dev']);
+  });
+
+  it('should store Markdown source and return sanitized HTML with a table of contents', async () => {
+    const content = '## Comparing values\n\nUse `a < b` in code.\n\n<script>alert(1)</script>';
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Markdown Post', content, category: categoryId });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.content).toBe(content);
+    expect(res.body.post.html).toContain('<h2 id="comparing-values">Comparing values</h2>');
+    expect(res.body.post.html).toContain('<code>a &lt; b</code>');
+    expect(res.body.post.html).not.toContain('<script');
+    expect(res.body.post.toc).toEqual([{ level: 2, text: 'Comparing values', id: 'comparing-values' }]);
+    expect(res.body.post.readingTime).toBe(1);
+
+    const saved = await Post.findById(res.body.post._id);
+    expect(saved.content).toBe(content);
+  });
+
+  it('should return 403 for unverified users when email verification is required', async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+    try {
+      const postData = {
+        title: 'New Post',
+        content: 'New post content',
+        category: categoryId
+      };
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(postData);
+
+      expect(res.status).toBe(403);
+      expect(res.body).toHaveProperty('error');
+
+      await User.findByIdAndUpdate(userId, { isEmailVerified: true });
+
+      const verifiedRes = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(postData);
+
+      expect(verifiedRes.status).toBe(201);
+    } finally {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    }
+  });
+
   it('should return 400 for missing title', async () => {
     const postData = {
       content: 'New post content',
@@ -388,6 +684,18 @@ describe('PUT /api/posts/:id', () => {
     });
   });
 
+  it('should replace the tags of a post', async () => {
+    const post = await Post.findOne({ title: 'Test Post' });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ tags: ['Node', 'Express'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.tags).toEqual(['node', 'express']);
+  });
+
   it('should update own post', async () => {
     const post = await Post.findOne({ title: 'Test Post' });
     const updateData = {
@@ -496,6 +804,50 @@ describe('PUT /api/posts/:id', () => {
     expect(res.status).toBe(401);
     expect(res.body).toHaveProperty('error');
   });
+
+  it('should reject fields that cannot be written', async () => {
+    const post = await Post.findOne({ title: 'Test Post' });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Updated Post', author: new mongoose.Types.ObjectId(), views: 1000, slug: 'taken-over' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['author', 'views', 'slug']);
+
+    const unchanged = await Post.findById(post._id);
+    expect(unchanged.title).toBe('Test Post');
+    expect(unchanged.author.toString()).toBe(userId.toString());
+    expect(unchanged.views).toBe(0);
+  });
+
+  it('should update meta fields without dropping the others', async () => {
+    const post = await Post.findOne({ title: 'Test Post' });
+    post.meta = { description: 'Old description', keywords: ['node'] };
+    await post.save();
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ meta: { description: 'New description' }, tags: ['express'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.meta).toEqual({ description: 'New description', keywords: ['node'] });
+    expect(res.body.post.tags).toEqual(['express']);
+  });
+
+  it('should reject unknown meta fields', async () => {
+    const post = await Post.findOne({ title: 'Test Post' });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ meta: { robots: 'noindex' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'meta.robots', message: 'Unknown field' });
+  });
 });
 
 describe('DELETE /api/posts/:id', () => {
@@ -698,7 +1050,9 @@ describe('POST /api/posts/:id/like', () => {
   });
 });
 
-describe('POST /api/posts/:id/comment', () => {
+describe('PUT/DELETE /api/posts/:id/like', () => {
+  let postId;
+
   beforeEach(async () => {
     // Create user
     const user = await User.create({
@@ -718,92 +1072,380 @@ describe('POST /api/posts/:id/comment', () => {
     categoryId = category._id;
 
     // Create post
-    await Post.create({
+    const post = await Post.create({
       title: 'Test Post',
       content: 'Test content',
       author: userId,
       category: categoryId,
       slug: 'test-post',
-      status: 'published',
-      comments: []
+      status: 'published'
     });
+    postId = post._id;
   });
 
-  it('should add comment to post', async () => {
-    const post = await Post.findOne({ title: 'Test Post' });
-    const commentData = {
-      content: 'Great post!'
-    };
+  it('should like a post only once when PUT is repeated', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${userToken}`);
 
     const res = await request(app)
-      .post(`/api/posts/${post._id}/comment`)
-      .set('Authorization', `Bearer ${userToken}`)
-      .send(commentData);
+      .put(`/api/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${userToken}`);
 
     expect(res.status).toBe(200);
-    expect(res.body).toHaveProperty('message', 'Comment added successfully');
-    expect(res.body).toHaveProperty('comment');
+    expect(res.body.liked).toBe(true);
+    expect(res.body.likeCount).toBe(1);
+  });
 
-    // Verify comment is added
-    const updatedPost = await Post.findById(post._id);
-    expect(updatedPost.comments.length).toBe(1);
-    expect(updatedPost.comments[0].content).toBe(commentData.content);
+  it('should keep a single like under concurrent requests', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => (
+      request(app)
+        .put(`/api/posts/${postId}/like`)
+        .set('Authorization', `Bearer ${userToken}`)
+    )));
+
+    const post = await Post.findById(postId);
+    expect(post.likes.length).toBe(1);
   });
 
-  it('should return 400 for missing comment content', async () => {
-    const post = await Post.findOne({ title: 'Test Post' });
-    const commentData = {};
+  it('should unlike a post and be a no-op when repeated', async () => {
+    await Post.findByIdAndUpdate(postId, { $addToSet: { likes: userId } });
+
+    await request(app)
+      .delete(`/api/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${userToken}`);
 
     const res = await request(app)
-      .post(`/api/posts/${post._id}/comment`)
-      .set('Authorization', `Bearer ${userToken}`)
-      .send(commentData);
+      .delete(`/api/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${userToken}`);
 
-    expect(res.status).toBe(400);
-    expect(res.body).toHaveProperty('error');
+    expect(res.status).toBe(200);
+    expect(res.body.liked).toBe(false);
+    expect(res.body.likeCount).toBe(0);
   });
 
-  it('should return 400 for comment too long', async () => {
-    const post = await Post.findOne({ title: 'Test Post' });
-    const commentData = {
-      content: 'a'.repeat(1001) // Too long
-    };
+  it('should return 404 for non-existent post', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${new mongoose.Types.ObjectId()}/like`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should report whether the current user liked the post', async () => {
+    await Post.findByIdAndUpdate(postId, { $addToSet: { likes: userId } });
 
     const res = await request(app)
-      .post(`/api/posts/${post._id}/comment`)
-      .set('Authorization', `Bearer ${userToken}`)
-      .send(commentData);
+      .get(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${userToken}`);
 
-    expect(res.status).toBe(400);
-    expect(res.body).toHaveProperty('error');
+    expect(res.status).toBe(200);
+    expect(res.body.liked).toBe(true);
   });
 
-  it('should return 404 for non-existent post', async () => {
-    const nonExistentId = new mongoose.Types.ObjectId();
-    const commentData = {
-      content: 'Great post!'
-    };
+  it('should return 404 for posts the user cannot see', async () => {
+    const other = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'Password123'
+    });
+    const draft = await Post.create({
+      title: 'Draft Post',
+      content: 'Draft content',
+      author: other._id,
+      category: categoryId,
+      status: 'draft'
+    });
+
+    for (const method of ['post', 'put', 'delete']) {
+      const res = await request(app)[method](`/api/posts/${draft._id}/like`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.status).toBe(404);
+    }
+
+    const updated = await Post.findById(draft._id);
+    expect(updated.likes.length).toBe(0);
+  });
+});
+
+describe('GET /api/posts/:id/likes', () => {
+  it('should list the users who liked a post', async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+    const category = await Category.create({ name: 'Technology' });
+    const post = await Post.create({
+      title: 'Test Post',
+      content: 'Test content',
+      author: user._id,
+      category: category._id,
+      slug: 'test-post',
+      status: 'published',
+      likes: [user._id]
+    });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/likes`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.length).toBe(1);
+    expect(res.body.users[0].username).toBe('testuser');
+    expect(res.body.users[0]).not.toHaveProperty('email');
+    expect(res.body.pagination.total).toBe(1);
+    expect(res.body.liked).toBe(false);
+  });
+
+  it('should report the caller\'s like when it is not on the current page', async () => {
+    // Likers are listed in the order they were created
+    const others = await User.create([1, 2, 3].map(i => ({
+      username: `liker${i}`,
+      email: `liker${i}@example.com`,
+      password: 'Password123'
+    })));
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+    const category = await Category.create({ name: 'Technology' });
+    const post = await Post.create({
+      title: 'Test Post',
+      content: 'Test content',
+      author: user._id,
+      category: category._id,
+      slug: 'test-post',
+      status: 'published',
+      likes: [...others.map(other => other._id), user._id]
+    });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/likes?page=1&limit=2`)
+      .set('Authorization', `Bearer ${generateToken(user)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.map(liker => liker.username)).not.toContain('testuser');
+    expect(res.body.liked).toBe(true);
+  });
+});
+
+describe('Scheduled publishing', () => {
+  const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    // Create user
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+    userId = user._id;
+    userToken = generateToken(user);
+
+    // Create category
+    const category = await Category.create({
+      name: 'Technology',
+      slug: 'technology',
+      description: 'Technology related posts'
+    });
+    categoryId = category._id;
+  });
+
+  it('should create a scheduled post that is not listed yet', async () => {
+    const publishAt = inOneHour();
 
     const res = await request(app)
-      .post(`/api/posts/${nonExistentId}/comment`)
+      .post('/api/posts')
       .set('Authorization', `Bearer ${userToken}`)
-      .send(commentData);
+      .send({
+        title: 'Scheduled Post',
+        content: 'Scheduled post content',
+        category: categoryId,
+        status: 'scheduled',
+        publishAt: publishAt.toISOString()
+      });
 
-    expect(res.status).toBe(404);
-    expect(res.body).toHaveProperty('error');
+    expect(res.status).toBe(201);
+    expect(res.body.post.status).toBe('scheduled');
+    expect(new Date(res.body.post.publishAt).getTime()).toBe(publishAt.getTime());
+
+    const list = await request(app).get('/api/posts');
+    expect(list.body.posts.length).toBe(0);
   });
 
-  it('should return 401 when not authenticated', async () => {
-    const post = await Post.findOne({ title: 'Test Post' });
-    const commentData = {
-      content: 'Great post!'
-    };
+  it('should return 400 when the publish date is missing or in the past', async () => {
+    const missing = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Scheduled Post', content: 'Scheduled post content', category: categoryId, status: 'scheduled' });
+
+    expect(missing.status).toBe(400);
+
+    const past = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        title: 'Scheduled Post',
+        content: 'Scheduled post content',
+        category: categoryId,
+        status: 'scheduled',
+        publishAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+    expect(past.status).toBe(400);
+  });
+
+  it('should publish posts once they are due', async () => {
+    const publishAt = inOneHour();
+    const post = await Post.create({
+      title: 'Scheduled Post',
+      content: 'Scheduled post content',
+      author: userId,
+      category: categoryId,
+      slug: 'scheduled-post',
+      status: 'scheduled',
+      publishAt
+    });
+
+    const early = await runScheduledJobs(new Date(publishAt.getTime() - 1000));
+    expect(early.publishScheduledPosts.published).toBe(0);
+    expect((await Post.findById(post._id)).status).toBe('scheduled');
+
+    const due = await runScheduledJobs(publishAt);
+    expect(due.publishScheduledPosts.published).toBe(1);
+    expect((await Post.findById(post._id)).status).toBe('published');
+  });
+
+  it('should publish each post once when several instances run at the same time', async () => {
+    const publishAt = inOneHour();
+    await Post.create([1, 2, 3].map(i => ({
+      title: `Scheduled Post ${i}`,
+      content: 'Scheduled post content',
+      author: userId,
+      category: categoryId,
+      slug: `scheduled-post-${i}`,
+      status: 'scheduled',
+      publishAt
+    })));
+
+    const runs = await Promise.all([1, 2, 3].map(() => runScheduledJobs(publishAt)));
+    const published = runs.reduce((sum, run) => sum + run.publishScheduledPosts.published, 0);
+
+    expect(published).toBe(3);
+    expect(await Post.countDocuments({ status: 'published' })).toBe(3);
+  });
+
+  it('should run on a timer with an injected clock', async () => {
+    const publishAt = inOneHour();
+    const post = await Post.create({
+      title: 'Scheduled Post',
+      content: 'Scheduled post content',
+      author: userId,
+      category: categoryId,
+      slug: 'scheduled-post',
+      status: 'scheduled',
+      publishAt
+    });
+
+    // The first tick runs straight away
+    startScheduler({ intervalMs: 60000, clock: () => publishAt });
+    await stopScheduler();
+
+    expect((await Post.findById(post._id)).status).toBe('published');
+  });
+});
+
+describe('Post slugs', () => {
+  beforeEach(async () => {
+    // Create user
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+    userId = user._id;
+    userToken = generateToken(user);
+
+    // Create category
+    const category = await Category.create({
+      name: 'Technology',
+      slug: 'technology',
+      description: 'Technology related posts'
+    });
+    categoryId = category._id;
+  });
+
+  const createPost = (title, extra = {}) => request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ title, content: 'Post content for slugs', category: categoryId, ...extra });
+
+  it('should add a numeric suffix when titles collide', async () => {
+    const first = await createPost('Hello');
+    const second = await createPost('Hello');
+    const third = await createPost('hello!');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(first.body.post.slug).toBe('hello');
+    expect(second.body.post.slug).toBe('hello-2');
+    expect(third.body.post.slug).toBe('hello-3');
+  });
+
+  it('should transliterate non-ASCII titles', async () => {
+    const res = await createPost('Привет, Café');
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.slug).toBe('privet-cafe');
+  });
+
+  it('should fall back to a generic slug for titles that cannot be transliterated', async () => {
+    const first = await createPost('你好世界');
+    const second = await createPost('你好世界');
+
+    expect(first.body.post.slug).toBe('post');
+    expect(second.body.post.slug).toBe('post-2');
+  });
+
+  it('should redirect old slugs to the current slug after a rename', async () => {
+    const created = await createPost('Original Title', { status: 'published' });
+
+    await request(app)
+      .put(`/api/posts/${created.body.post._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Renamed Title' });
 
     const res = await request(app)
-      .post(`/api/posts/${post._id}/comment`)
-      .send(commentData);
+      .get('/api/posts/slug/original-title');
 
-    expect(res.status).toBe(401);
-    expect(res.body).toHaveProperty('error');
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/posts/slug/renamed-title');
+    expect(res.body.slug).toBe('renamed-title');
+
+    const current = await request(app)
+      .get('/api/posts/slug/renamed-title');
+    expect(current.status).toBe(200);
   });
-}); 
\ No newline at end of file
+
+  it('should keep old slugs reserved for the post that used them', async () => {
+    const created = await createPost('Original Title');
+    await request(app)
+      .put(`/api/posts/${created.body.post._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Renamed Title' });
+
+    const other = await createPost('Original Title');
+    expect(other.body.post.slug).toBe('original-title-2');
+
+    // Renaming back reclaims the old slug
+    const renamedBack = await request(app)
+      .put(`/api/posts/${created.body.post._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ title: 'Original Title' });
+
+    expect(renamedBack.body.post.slug).toBe('original-title');
+    expect(renamedBack.body.post.slugHistory).toEqual(['renamed-title']);
+  });
+});
@@ -0,0 +1,227 @@
+// revisions.test.js - Integration tests for post revision history endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let userToken;
+let otherToken;
+let adminToken;
+let categoryId;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userToken = generateToken(user);
+
+  const other = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'Password123'
+  });
+  otherToken = generateToken(other);
+
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+
+  const category = await Category.create({ name: 'Technology' });
+  categoryId = category._id;
+
+  const res = await request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      title: 'Original Title',
+      content: 'The original post content',
+      category: categoryId
+    });
+  postId = res.body.post._id;
+});
+
+afterEach(async () => {
+  delete process.env.POST_REVISION_LIMIT;
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const updatePost = (updates) => request(app)
+  .put(`/api/posts/${postId}`)
+  .set('Authorization', `Bearer ${userToken}`)
+  .send(updates);
+
+describe('Revision recording', () => {
+  it('should record a revision when a post is created and updated', async () => {
+    await updatePost({ content: 'The updated post content' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revisions.map(r => r.revision)).toEqual([2, 1]);
+    expect(res.body.revisions[0].changedFields).toEqual(['content']);
+    expect(res.body.revisions[0].editor.username).toBe('testuser');
+    expect(res.body.revisions[0]).not.toHaveProperty('snapshot');
+  });
+
+  it('should not record a revision when nothing changes', async () => {
+    await updatePost({ title: 'Original Title' });
+
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(1);
+  });
+
+  it('should record the previous state of posts created before revisions existed', async () => {
+    await PostRevision.deleteMany({});
+
+    await updatePost({ title: 'Updated Title' });
+
+    const revisions = await PostRevision.find({ post: postId }).sort({ revision: 1 });
+    expect(revisions.map(r => r.snapshot.title)).toEqual(['Original Title', 'Updated Title']);
+  });
+
+  it('should keep only the configured number of revisions', async () => {
+    process.env.POST_REVISION_LIMIT = '2';
+
+    await updatePost({ content: 'Second version of the content' });
+    await updatePost({ content: 'Third version of the content' });
+
+    const revisions = await PostRevision.find({ post: postId }).sort({ revision: 1 });
+    expect(revisions.map(r => r.revision)).toEqual([2, 3]);
+  });
+
+  it('should delete revisions with the post', async () => {
+    await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(0);
+  });
+});
+
+describe('GET /api/posts/:id/revisions', () => {
+  it('should let admins view the history', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 403 for other users', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return a single revision with its snapshot', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/1`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revision.snapshot.title).toBe('Original Title');
+  });
+});
+
+describe('GET /api/posts/:id/revisions/diff', () => {
+  it('should diff the latest revision against the previous one', async () => {
+    await updatePost({ title: 'Updated Title', status: 'published' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.from).toBe(1);
+    expect(res.body.to).toBe(2);
+    expect(res.body.changes.title.diff).toEqual([
+      { type: 'removed', value: 'Original ' },
+      { type: 'added', value: 'Updated ' },
+      { type: 'equal', value: 'Title' }
+    ]);
+    expect(res.body.changes.status).toEqual({ from: 'draft', to: 'published' });
+    expect(res.body.changes).not.toHaveProperty('content');
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=1&to=9`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/posts/:id/revisions/:rev/restore', () => {
+  it('should restore the content of an earlier revision as a new revision', async () => {
+    await updatePost({ title: 'Updated Title', content: 'The updated post content', status: 'published' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revision).toBe(3);
+    expect(res.body.post.title).toBe('Original Title');
+    expect(res.body.post.content).toBe('The original post content');
+    // Publishing state is not rolled back
+    expect(res.body.post.status).toBe('published');
+
+    const latest = await PostRevision.findLatest(postId);
+    expect(latest.restoredFrom).toBe(1);
+    expect(latest.changedFields).toEqual(expect.arrayContaining(['title', 'content']));
+  });
+
+  it('should return 403 for other users', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 409 when the revision category was deleted', async () => {
+    const other = await Category.create({ name: 'Science' });
+    await updatePost({ category: other._id });
+    await Category.findByIdAndDelete(categoryId);
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(409);
+  });
+});
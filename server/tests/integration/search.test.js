@@ -0,0 +1,197 @@
+// search.test.js - Integration tests for the search API endpoint
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let userId;
+let userToken;
+let adminToken;
+let technologyId;
+let travelId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  // The text index must exist before $text queries run
+  await Post.createIndexes();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+  userToken = generateToken(user);
+
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+
+  const technology = await Category.create({ name: 'Technology' });
+  technologyId = technology._id;
+  const travel = await Category.create({ name: 'Travel' });
+  travelId = travel._id;
+
+  await Post.create([
+    {
+      title: 'Getting started with MongoDB',
+      content: 'A beginner guide to the MongoDB text index and aggregation.',
+      author: userId,
+      category: technologyId,
+      slug: 'getting-started-with-mongodb',
+      status: 'published',
+      tags: ['mongodb', 'databases']
+    },
+    {
+      title: 'Node performance tips',
+      content: 'Profiling Node services that talk to MongoDB under load.',
+      author: userId,
+      category: technologyId,
+      slug: 'node-performance-tips',
+      status: 'published',
+      tags: ['node']
+    },
+    {
+      title: 'Hiking in the Alps',
+      content: 'Packing lists and trail notes from a summer in the mountains.',
+      author: userId,
+      category: travelId,
+      slug: 'hiking-in-the-alps',
+      status: 'published',
+      tags: ['hiking']
+    },
+    {
+      title: 'MongoDB draft notes',
+      content: 'Unpublished notes about MongoDB sharding.',
+      author: userId,
+      category: technologyId,
+      slug: 'mongodb-draft-notes',
+      status: 'draft'
+    }
+  ]);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('GET /api/search', () => {
+  it('should rank title matches above content matches', async () => {
+    const res = await request(app)
+      .get('/api/search?q=mongodb');
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.length).toBe(2);
+    expect(res.body.results[0].title).toBe('Getting started with MongoDB');
+    expect(res.body.results[0].score).toBeGreaterThan(res.body.results[1].score);
+    expect(res.body.pagination.total).toBe(2);
+  });
+
+  it('should highlight matches in the title and a content snippet', async () => {
+    const res = await request(app)
+      .get('/api/search?q=mongodb');
+
+    const [first] = res.body.results;
+    expect(first.highlights.title).toBe('Getting started with <mark>MongoDB</mark>');
+    expect(first.highlights.content).toContain('<mark>MongoDB</mark>');
+  });
+
+  it('should support phrases and negation', async () => {
+    const phrase = await request(app)
+      .get(`/api/search?q=${encodeURIComponent('"text index"')}`);
+
+    expect(phrase.status).toBe(200);
+    expect(phrase.body.results.map(post => post.slug)).toEqual(['getting-started-with-mongodb']);
+
+    const negated = await request(app)
+      .get(`/api/search?q=${encodeURIComponent('mongodb -profiling')}`);
+
+    expect(negated.body.results.map(post => post.slug)).toEqual(['getting-started-with-mongodb']);
+  });
+
+  it('should return facet counts', async () => {
+    const res = await request(app)
+      .get('/api/search?q=mongodb');
+
+    expect(res.body.facets.categories).toEqual([
+      { id: technologyId.toString(), name: 'Technology', slug: 'technology', count: 2 }
+    ]);
+    expect(res.body.facets.tags).toEqual(expect.arrayContaining([{ tag: 'mongodb', count: 1 }]));
+    expect(res.body.facets.authors).toEqual([{ id: userId.toString(), username: 'testuser', count: 2 }]);
+    expect(res.body.facets.statuses).toEqual([{ status: 'published', count: 2 }]);
+  });
+
+  it('should narrow results with filters', async () => {
+    const res = await request(app)
+      .get(`/api/search?q=mongodb&tag=node&category=${technologyId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(post => post.slug)).toEqual(['node-performance-tips']);
+  });
+
+  it('should include own drafts for the author but not for anonymous users', async () => {
+    const anonymous = await request(app)
+      .get('/api/search?q=sharding&status=draft');
+
+    expect(anonymous.body.results.length).toBe(0);
+
+    const own = await request(app)
+      .get('/api/search?q=sharding')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(own.body.results.length).toBe(1);
+
+    const admin = await request(app)
+      .get('/api/search?q=mongodb')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(admin.body.facets.statuses).toEqual(expect.arrayContaining([{ status: 'draft', count: 1 }]));
+  });
+
+  it('should treat regex characters literally', async () => {
+    const res = await request(app)
+      .get(`/api/search?q=${encodeURIComponent('.* mongodb')}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.length).toBe(2);
+  });
+
+  it('should return 400 when the query only excludes terms', async () => {
+    const res = await request(app)
+      .get('/api/search?q=-mongodb');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 400 when the query is missing', async () => {
+    const res = await request(app)
+      .get('/api/search');
+
+    expect(res.status).toBe(400);
+  });
+});
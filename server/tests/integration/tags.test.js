@@ -0,0 +1,156 @@
+// tags.test.js - Integration tests for tags API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+
+let mongoServer;
+let userId;
+let categoryId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+
+  const category = await Category.create({ name: 'Technology' });
+  categoryId = category._id;
+
+  await Post.create([
+    {
+      title: 'React Hooks',
+      content: 'All about React hooks',
+      author: userId,
+      category: categoryId,
+      slug: 'react-hooks',
+      status: 'published',
+      tags: ['React', 'JavaScript']
+    },
+    {
+      title: 'React Router',
+      content: 'Routing in React apps',
+      author: userId,
+      category: categoryId,
+      slug: 'react-router',
+      status: 'published',
+      tags: ['react', 'Routing']
+    },
+    {
+      title: 'Redux Draft',
+      content: 'Unpublished Redux notes',
+      author: userId,
+      category: categoryId,
+      slug: 'redux-draft',
+      status: 'draft',
+      tags: ['redux']
+    }
+  ]);
+});
+
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('Tag normalization', () => {
+  it('should store tags lowercased and deduplicated', async () => {
+    const post = await Post.create({
+      title: 'Mixed Tags',
+      content: 'Tags in mixed case',
+      author: userId,
+      category: categoryId,
+      slug: 'mixed-tags',
+      tags: ['Node', ' node ', '#Web Dev']
+    });
+
+    expect(post.tags.toObject()).toEqual(['node', 'web-dev']);
+  });
+});
+
+describe('GET /api/tags', () => {
+  it('should list tags of published posts with usage counts', async () => {
+    const res = await request(app)
+      .get('/api/tags');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags[0]).toEqual({ tag: 'react', count: 2 });
+    expect(res.body.tags.map(t => t.tag)).not.toContain('redux');
+    expect(res.body.pagination.total).toBe(3);
+  });
+
+  it('should sort tags by name', async () => {
+    const res = await request(app)
+      .get('/api/tags?sort=name');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags.map(t => t.tag)).toEqual(['javascript', 'react', 'routing']);
+  });
+});
+
+describe('GET /api/tags/autocomplete', () => {
+  it('should suggest tags by prefix, most used first', async () => {
+    const res = await request(app)
+      .get('/api/tags/autocomplete?q=R');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual([
+      { tag: 'react', count: 2 },
+      { tag: 'routing', count: 1 }
+    ]);
+  });
+
+  it('should treat the prefix literally', async () => {
+    const res = await request(app)
+      .get(`/api/tags/autocomplete?q=${encodeURIComponent('.*')}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual([]);
+  });
+
+  it('should return 400 without a prefix', async () => {
+    const res = await request(app)
+      .get('/api/tags/autocomplete');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/tags/:tag', () => {
+  it('should return the published posts for a tag', async () => {
+    const res = await request(app)
+      .get('/api/tags/React');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tag).toEqual({ name: 'react', postCount: 2 });
+    expect(res.body.posts.length).toBe(2);
+  });
+
+  it('should return 404 for an unused tag', async () => {
+    const res = await request(app)
+      .get('/api/tags/redux');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toHaveProperty('error');
+  });
+});
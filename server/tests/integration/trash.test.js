@@ -0,0 +1,432 @@
+// trash.test.js - Integration tests for soft delete, trash, restore and purge
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const PostRevision = require('../../src/models/PostRevision');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { purgeTrash } = require('../../src/utils/trash');
+const { runScheduledJobs } = require('../../src/utils/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let userId;
+let userToken;
+let otherId;
+let otherToken;
+let adminToken;
+let categoryId;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+  userToken = generateToken(user);
+
+  const other = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'Password123'
+  });
+  otherId = other._id;
+  otherToken = generateToken(other);
+
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+
+  const category = await Category.create({
+    name: 'Technology',
+    slug: 'technology'
+  });
+  categoryId = category._id;
+
+  const post = await Post.create({
+    title: 'Test Post',
+    content: 'Test content for the trash',
+    author: userId,
+    category: categoryId,
+    status: 'published'
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  delete process.env.TRASH_RETENTION_DAYS;
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+const deletePost = () => request(app)
+  .delete(`/api/posts/${postId}`)
+  .set('Authorization', `Bearer ${userToken}`);
+
+describe('Soft deleting posts', () => {
+  it('should keep the post in the trash and hide it from queries', async () => {
+    const res = await deletePost();
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedAt).toBeDefined();
+    expect(new Date(res.body.purgeAt) - new Date(res.body.deletedAt)).toBe(30 * DAY_MS);
+
+    expect(await Post.findById(postId)).toBeNull();
+    expect(await Post.countDocuments()).toBe(0);
+    expect(await Post.findById(postId).withDeleted()).not.toBeNull();
+
+    const list = await request(app).get('/api/posts');
+    expect(list.body.posts.length).toBe(0);
+
+    const single = await request(app).get(`/api/posts/${postId}`);
+    expect(single.status).toBe(404);
+  });
+
+  it('should return 404 when deleting a post twice', async () => {
+    await deletePost();
+    const res = await deletePost();
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should keep the slug of a deleted post reserved', async () => {
+    await deletePost();
+
+    const post = await Post.create({
+      title: 'Test Post',
+      content: 'Another post with the same title',
+      author: userId,
+      category: categoryId
+    });
+
+    expect(post.slug).toBe('test-post-2');
+  });
+});
+
+describe('GET /api/posts/trash', () => {
+  beforeEach(async () => {
+    await Post.create({
+      title: 'Other Post',
+      content: 'Content by the other user',
+      author: otherId,
+      category: categoryId
+    });
+    const otherPost = await Post.findOne({ title: 'Other Post' });
+    await Post.softDeleteById(otherPost._id, otherId);
+    await deletePost();
+  });
+
+  it('should list only the user\'s own deleted posts', async () => {
+    const res = await request(app)
+      .get('/api/posts/trash')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.length).toBe(1);
+    expect(res.body.posts[0].title).toBe('Test Post');
+    expect(res.body.posts[0].purgeAt).toBeDefined();
+    expect(res.body.retentionDays).toBe(30);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  it('should list every deleted post for admins', async () => {
+    const res = await request(app)
+      .get('/api/posts/trash')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.length).toBe(2);
+  });
+
+  it('should let admins filter by author', async () => {
+    const res = await request(app)
+      .get(`/api/posts/trash?author=${otherId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.body.posts.length).toBe(1);
+    expect(res.body.posts[0].title).toBe('Other Post');
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/posts/trash');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/posts/:id/restore', () => {
+  beforeEach(async () => {
+    await deletePost();
+  });
+
+  it('should restore a deleted post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.title).toBe('Test Post');
+    expect(res.body.post.deletedAt).toBeNull();
+
+    const single = await request(app).get(`/api/posts/${postId}`);
+    expect(single.status).toBe(200);
+  });
+
+  it('should let admins restore any post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not let other users restore the post', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for posts that are not in the trash', async () => {
+    await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 409 when the category no longer exists', async () => {
+    await Category.deleteMany({});
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should restore a post whose category was deleted with reassignTo', async () => {
+    const science = await Category.create({ name: 'Science', slug: 'science' });
+
+    const deleted = await request(app)
+      .delete(`/api/categories/${categoryId}?reassignTo=${science._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.reassignedPosts).toBe(1);
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    const post = await Post.findById(postId);
+    expect(post.category.toString()).toBe(science._id.toString());
+  });
+
+  it('should not delete a category that only has trashed posts', async () => {
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+    expect(await Category.findById(categoryId)).not.toBeNull();
+  });
+});
+
+describe('Soft deleting users', () => {
+  it('should move the user and their posts to the trash', async () => {
+    const res = await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual({ action: 'deleted', count: 1 });
+
+    expect(await User.findById(userId)).toBeNull();
+    const post = await Post.findById(postId).withDeleted();
+    expect(post.deletedAt).toEqual(new Date(res.body.deletedAt));
+  });
+
+  it('should revoke the user\'s tokens', async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reassign posts to another user', async () => {
+    const trashed = await Post.create({
+      title: 'Trashed Post',
+      content: 'Already in the trash',
+      author: userId,
+      category: categoryId
+    });
+    await Post.softDeleteById(trashed._id, userId);
+
+    const res = await request(app)
+      .delete(`/api/users/${userId}?reassignTo=${otherId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual({ action: 'reassigned', reassignedTo: otherId.toString(), count: 2 });
+
+    const post = await Post.findById(postId);
+    expect(post.author.toString()).toBe(otherId.toString());
+    expect(post.deletedAt).toBeNull();
+
+    const stillTrashed = await Post.findById(trashed._id).withDeleted();
+    expect(stillTrashed.author.toString()).toBe(otherId.toString());
+    expect(stillTrashed.deletedAt).not.toBeNull();
+  });
+
+  it('should reject reassigning to the deleted user or a missing user', async () => {
+    const self = await request(app)
+      .delete(`/api/users/${userId}?reassignTo=${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(self.status).toBe(400);
+
+    const missing = await request(app)
+      .delete(`/api/users/${userId}?reassignTo=${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(missing.status).toBe(404);
+
+    expect(await User.findById(userId)).not.toBeNull();
+  });
+});
+
+describe('User trash and restore', () => {
+  beforeEach(async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+  });
+
+  it('should list deleted users for admins', async () => {
+    const res = await request(app)
+      .get('/api/users/trash')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.length).toBe(1);
+    expect(res.body.users[0].username).toBe('testuser');
+    expect(res.body.users[0]).not.toHaveProperty('password');
+  });
+
+  it('should not list deleted users for other users', async () => {
+    const res = await request(app)
+      .get('/api/users/trash')
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should restore the user with the posts deleted along with them', async () => {
+    const res = await request(app)
+      .post(`/api/users/${userId}/restore`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.restoredPosts).toBe(1);
+    expect(await User.findById(userId)).not.toBeNull();
+    expect(await Post.findById(postId)).not.toBeNull();
+  });
+
+  it('should not restore a post before its author', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('Purging the trash', () => {
+  it('should permanently remove posts past the retention period with their data', async () => {
+    await Comment.create({ content: 'A comment', author: otherId, post: postId });
+    await PostRevision.create({ post: postId, revision: 1, editor: userId, snapshot: { title: 'Test Post' } });
+    await deletePost();
+
+    const early = await purgeTrash(new Date(Date.now() + 29 * DAY_MS));
+    expect(early).toEqual({ posts: 0, users: 0 });
+
+    const results = await purgeTrash(new Date(Date.now() + 31 * DAY_MS));
+    expect(results).toEqual({ posts: 1, users: 0 });
+    expect(await Post.findById(postId).withDeleted()).toBeNull();
+    expect(await Comment.countDocuments({ post: postId })).toBe(0);
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(0);
+  });
+
+  it('should purge users with the posts deleted along with them', async () => {
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const results = await purgeTrash(new Date(Date.now() + 31 * DAY_MS));
+
+    expect(results).toEqual({ posts: 1, users: 1 });
+    expect(await User.findById(userId).withDeleted()).toBeNull();
+  });
+
+  it('should read the retention period from the environment', async () => {
+    process.env.TRASH_RETENTION_DAYS = '7';
+    await deletePost();
+
+    const results = await purgeTrash(new Date(Date.now() + 8 * DAY_MS));
+
+    expect(results.posts).toBe(1);
+  });
+
+  it('should keep the trash forever when retention is 0', async () => {
+    process.env.TRASH_RETENTION_DAYS = '0';
+    await deletePost();
+
+    const results = await purgeTrash(new Date(Date.now() + 3650 * DAY_MS));
+
+    expect(results.posts).toBe(0);
+  });
+
+  it('should run as a scheduled job', async () => {
+    await deletePost();
+
+    const results = await runScheduledJobs(new Date(Date.now() + 31 * DAY_MS));
+
+    expect(results.purgeTrash).toEqual({ posts: 1, users: 0 });
+  });
+});
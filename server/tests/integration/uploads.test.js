@@ -0,0 +1,290 @@
+// uploads.test.js - Integration tests for avatar and cover image uploads
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { app } = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { setStorage, resetStorage, createMemoryStorage } = require('../../src/utils/storage');
+const { purgeTrash } = require('../../src/utils/trash');
+
+let mongoServer;
+let storage;
+let png;
+let userId;
+let userToken;
+let otherToken;
+let adminToken;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  png = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } }).png().toBuffer();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  storage = setStorage(createMemoryStorage());
+
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123'
+  });
+  userId = user._id;
+  userToken = generateToken(user);
+
+  const other = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'Password123'
+  });
+  otherToken = generateToken(other);
+
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+
+  const category = await Category.create({
+    name: 'Technology',
+    slug: 'technology'
+  });
+
+  const post = await Post.create({
+    title: 'Test Post',
+    content: 'Test content for uploads',
+    author: userId,
+    category: category._id,
+    status: 'published'
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  resetStorage();
+
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    const collection = collections[key];
+    await collection.deleteMany({});
+  }
+});
+
+describe('PUT /api/users/:id/avatar', () => {
+  it('should store the avatar with its thumbnails', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('avatar', png, 'avatar.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body.avatar).toMatchObject({ contentType: 'image/webp', width: 512, height: 512 });
+    expect(res.body.avatar.url).toMatch(new RegExp(`^/uploads/avatars/${userId}/`));
+    expect(res.body.avatar.thumbnails.length).toBe(2);
+    expect(storage.files.size).toBe(3);
+
+    const user = await User.findById(userId);
+    expect(user.profile.avatar.key).toBe(res.body.avatar.key);
+  });
+
+  it('should delete the previous avatar when replaced', async () => {
+    const first = await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('avatar', png, 'avatar.png');
+
+    await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('avatar', png, 'avatar.png');
+
+    expect(storage.files.size).toBe(3);
+    expect(storage.files.has(first.body.avatar.key)).toBe(false);
+  });
+
+  it('should reject files that are not images whatever their declared type', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('avatar', Buffer.from('<svg onload="alert(1)"></svg>'), { filename: 'avatar.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('File content is not a supported image');
+    expect(storage.files.size).toBe(0);
+  });
+
+  it('should reject requests without a file', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No file uploaded');
+  });
+
+  it('should reject files over the size limit', async () => {
+    process.env.UPLOAD_MAX_SIZE_MB = '0.001';
+
+    const res = await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('avatar', png, 'avatar.png');
+
+    delete process.env.UPLOAD_MAX_SIZE_MB;
+    expect(res.status).toBe(413);
+  });
+
+  it('should not let users change the avatar of others', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .attach('avatar', png, 'avatar.png');
+
+    expect(res.status).toBe(403);
+    expect(storage.files.size).toBe(0);
+  });
+
+  it('should let admins change any avatar', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .attach('avatar', png, 'avatar.png');
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('DELETE /api/users/:id/avatar', () => {
+  it('should remove the avatar and its files', async () => {
+    await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('avatar', png, 'avatar.png');
+
+    const res = await request(app)
+      .delete(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(storage.files.size).toBe(0);
+
+    const user = await User.findById(userId);
+    expect(user.profile.avatar).toBeNull();
+  });
+
+  it('should return 404 when there is no avatar', async () => {
+    const res = await request(app)
+      .delete(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/posts/:id/cover-image', () => {
+  it('should store a resized cover image', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}/cover-image`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('image', png, 'cover.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body.coverImage).toMatchObject({ width: 800, height: 600 });
+    expect(res.body.coverImage.thumbnails.map(thumbnail => thumbnail.name)).toEqual(['small', 'medium']);
+
+    const post = await request(app).get(`/api/posts/${postId}`);
+    expect(post.body.post.coverImage.url).toBe(res.body.coverImage.url);
+  });
+
+  it('should only let the author upload a cover image', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}/cover-image`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .attach('image', png, 'cover.png');
+
+    expect(res.status).toBe(403);
+    expect(storage.files.size).toBe(0);
+  });
+
+  it('should return 404 for a missing post', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${new mongoose.Types.ObjectId()}/cover-image`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('image', png, 'cover.png');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should remove the cover image', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}/cover-image`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('image', png, 'cover.png');
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/cover-image`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    expect(storage.files.size).toBe(0);
+  });
+});
+
+describe('Orphaned upload cleanup', () => {
+  const afterRetention = () => new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+
+  it('should delete the cover image when its post is purged', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}/cover-image`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('image', png, 'cover.png');
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.status).toBe(200);
+    // Kept while the post can still be restored
+    expect(storage.files.size).toBe(3);
+
+    await purgeTrash(afterRetention());
+    expect(storage.files.size).toBe(0);
+  });
+
+  it('should delete the avatar and post images of a purged user', async () => {
+    await request(app)
+      .put(`/api/users/${userId}/avatar`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('avatar', png, 'avatar.png');
+    await request(app)
+      .put(`/api/posts/${postId}/cover-image`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .attach('image', png, 'cover.png');
+    expect(storage.files.size).toBe(6);
+
+    const res = await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(storage.files.size).toBe(6);
+
+    await purgeTrash(afterRetention());
+    expect(storage.files.size).toBe(0);
+  });
+});
@@ -4,6 +4,7 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const { app } = require('../../src/app');
 const User = require('../../src/models/User');
 const Post = require('../../src/models/Post');
+const ViewHistory = require('../../src/models/ViewHistory');
 const { generateToken } = require('../../src/utils/auth');
 
 let mongoServer;
@@ -86,6 +87,15 @@ describe('GET /api/users', () => {
     expect(res.body.users[0].username).toBe('admin');
   });
 
+  it('should match search input literally', async () => {
+    const res = await request(app)
+      .get(`/api/users?search=${encodeURIComponent('.*')}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.length).toBe(0);
+  });
+
   it('should paginate results', async () => {
     // Create multiple users
     const users = [];
@@ -108,6 +118,25 @@ describe('GET /api/users', () => {
     expect(res.body.pagination.limit).toBe(10);
   });
 
+  it('should paginate users with a cursor and Link header', async () => {
+    const first = await request(app)
+      .get('/api/users?limit=1')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(first.body.pagination.total).toBe(2);
+    expect(first.headers.link).toContain('rel="last"');
+
+    const res = await request(app)
+      .get(`/api/users?limit=1&cursor=${first.body.pagination.nextCursor}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.length).toBe(1);
+    expect(res.body.users[0]._id).not.toBe(first.body.users[0]._id);
+    expect(res.body.pagination).not.toHaveProperty('total');
+    expect(res.body.pagination.nextCursor).toBeNull();
+  });
+
   it('should return 403 when not admin', async () => {
     const res = await request(app)
       .get('/api/users')
@@ -245,6 +274,19 @@ describe('GET /api/users/:id/profile', () => {
     expect(res.body.stats.totalViews).toBe(30);
   });
 
+  it('should only return public fields to anonymous callers', async () => {
+    const res = await request(app)
+      .get(`/api/users/${userId}/profile`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('testuser');
+    expect(res.body.user).not.toHaveProperty('email');
+    expect(res.body.user).not.toHaveProperty('role');
+    expect(res.body.user).not.toHaveProperty('isActive');
+    expect(res.body.user).not.toHaveProperty('tokenVersion');
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
   it('should paginate posts', async () => {
     // Create more posts
     const posts = [];
@@ -343,6 +385,24 @@ describe('PUT /api/users/:id', () => {
     expect(res.body.user.role).toBe(updateData.role);
   });
 
+  it('should revoke tokens when admin deactivates a user', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false });
+
+    expect(res.status).toBe(200);
+
+    // Reactivate so only the revocation can reject the old token
+    await User.findByIdAndUpdate(userId, { isActive: true });
+
+    const meRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(meRes.status).toBe(401);
+  });
+
   it('should return 403 when user tries to update other user', async () => {
     const updateData = {
       firstName: 'Unauthorized'
@@ -357,6 +417,29 @@ describe('PUT /api/users/:id', () => {
     expect(res.body).toHaveProperty('error');
   });
 
+  it('should return 403 when user tries to change their own role', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.errors[0]).toMatchObject({ field: 'role', message: 'Requires permission user:manage' });
+
+    const user = await User.findById(userId);
+    expect(user.role).toBe('user');
+  });
+
+  it('should reject fields that cannot be written', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ firstName: 'Jane', email: 'taken@example.com', isEmailVerified: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['email', 'isEmailVerified']);
+  });
+
   it('should return 400 for invalid firstName length', async () => {
     const updateData = {
       firstName: 'a'.repeat(51) // Too long
@@ -645,7 +728,7 @@ describe('GET /api/users/:id/stats', () => {
         status: 'published',
         views: 10,
         likes: ['user1', 'user2'],
-        comments: [{ user: 'user1', content: 'Comment 1' }]
+        commentCount: 1
       },
       {
         title: 'Draft Post',
@@ -656,7 +739,7 @@ describe('GET /api/users/:id/stats', () => {
         status: 'draft',
         views: 5,
         likes: ['user3'],
-        comments: []
+        commentCount: 0
       }
     ]);
   });
@@ -677,6 +760,21 @@ describe('GET /api/users/:id/stats', () => {
     expect(res.body.stats.totalComments).toBe(1);
   });
 
+  it('should include a daily view history', async () => {
+    const post = await Post.findOne({ title: 'Published Post' });
+    await ViewHistory.increment(post);
+    await ViewHistory.increment(post);
+
+    const res = await request(app)
+      .get(`/api/users/${userId}/stats?days=7`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.viewHistory.length).toBe(7);
+    expect(res.body.viewHistory[6].views).toBe(2);
+    expect(res.body.viewHistory[0].views).toBe(0);
+  });
+
   it('should return own stats when regular user', async () => {
     const res = await request(app)
       .get(`/api/users/${userId}/stats`)
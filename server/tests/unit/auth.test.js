@@ -4,6 +4,8 @@ const {
   verifyToken,
   decodeToken,
   generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiration,
   generatePasswordResetToken,
   verifyPasswordResetToken,
   generateEmailVerificationToken,
@@ -112,6 +114,25 @@ describe('Auth Utilities', () => {
     });
   });
 
+  describe('hashToken', () => {
+    it('should produce a deterministic hash that differs from the token', () => {
+      const token = generateRefreshToken(mockUser);
+
+      expect(hashToken(token)).toBe(hashToken(token));
+      expect(hashToken(token)).not.toBe(token);
+      expect(hashToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('getRefreshTokenExpiration', () => {
+    it('should return a date in the future', () => {
+      const expiration = getRefreshTokenExpiration();
+
+      expect(expiration).toBeInstanceOf(Date);
+      expect(expiration.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
   describe('generatePasswordResetToken', () => {
     it('should generate reset token and hash', () => {
       const { resetToken, hashedToken } = generatePasswordResetToken();
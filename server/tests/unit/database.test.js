@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { getDatabaseConfig, getRetryDelay, connectDB, pingDatabase } = require('../../src/utils/database');
+
+describe('Database Utilities', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.MONGODB_CONNECT_RETRIES;
+    delete process.env.MONGODB_RETRY_DELAY_MS;
+    delete process.env.MONGODB_RETRY_MAX_DELAY_MS;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getDatabaseConfig', () => {
+    it('should retry five times from one second by default', () => {
+      expect(getDatabaseConfig()).toMatchObject({ retries: 5, retryDelayMs: 1000, maxRetryDelayMs: 30000 });
+    });
+
+    it('should read the retry settings and ignore invalid values', () => {
+      process.env.MONGODB_CONNECT_RETRIES = '0';
+      process.env.MONGODB_RETRY_DELAY_MS = '250';
+      process.env.MONGODB_RETRY_MAX_DELAY_MS = 'soon';
+
+      expect(getDatabaseConfig()).toMatchObject({ retries: 0, retryDelayMs: 250, maxRetryDelayMs: 30000 });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay up to the maximum', () => {
+      const config = { retryDelayMs: 1000, maxRetryDelayMs: 5000 };
+
+      expect([1, 2, 3, 4].map(retry => getRetryDelay(retry, config))).toEqual([1000, 2000, 4000, 5000]);
+    });
+  });
+
+  describe('connectDB', () => {
+    it('should retry with backoff until the connection succeeds', async () => {
+      const connect = jest.spyOn(mongoose, 'connect')
+        .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+        .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+        .mockResolvedValueOnce(mongoose);
+      const wait = jest.fn().mockResolvedValue();
+
+      await connectDB({ uri: 'mongodb://db:27017/test', retries: 3, retryDelayMs: 100, wait });
+
+      expect(connect).toHaveBeenCalledTimes(3);
+      expect(connect).toHaveBeenCalledWith('mongodb://db:27017/test');
+      expect(wait.mock.calls).toEqual([[100], [200]]);
+    });
+
+    it('should throw the last error once the retries run out', async () => {
+      jest.spyOn(mongoose, 'connect').mockRejectedValue(new Error('ECONNREFUSED'));
+      const wait = jest.fn().mockResolvedValue();
+
+      await expect(connectDB({ retries: 2, wait })).rejects.toThrow('ECONNREFUSED');
+      expect(wait).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('pingDatabase', () => {
+    it('should report the database as down without a connection', async () => {
+      expect(await pingDatabase()).toEqual({ status: 'down', error: 'Not connected' });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { errorHandler, AppError } = require('../../src/middleware/errorHandler');
+const { requestId } = require('../../src/middleware/requestId');
+
+describe('Error Handling', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  const handle = (err) => {
+    const req = { id: 'req-1', url: '/posts/1', originalUrl: '/api/posts/1', method: 'GET', get: () => undefined };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    errorHandler(err, req, res, jest.fn());
+    return { res, body: res.json.mock.calls[0][0] };
+  };
+
+  describe('AppError', () => {
+    it('should carry a code and field errors', () => {
+      const errors = [{ field: 'title', location: 'body', message: 'Title is required' }];
+      const error = new AppError('Validation failed', 400, 'VALIDATION_FAILED', errors);
+
+      expect(error.code).toBe('VALIDATION_FAILED');
+      expect(error.errors).toBe(errors);
+    });
+
+    it('should fall back to a code for the status', () => {
+      expect(new AppError('Gone', 404).code).toBe('NOT_FOUND');
+      expect(new AppError('Nope', 403).code).toBe('FORBIDDEN');
+      expect(new AppError('Broken', 503).code).toBe('INTERNAL_ERROR');
+    });
+  });
+
+  describe('errorHandler', () => {
+    it('should respond with problem details', () => {
+      const { res, body } = handle(new AppError('Post not found', 404, 'POST_NOT_FOUND'));
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.type).toHaveBeenCalledWith('application/problem+json');
+      expect(body).toEqual({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        instance: '/api/posts/1',
+        requestId: 'req-1',
+        error: 'Post not found'
+      });
+    });
+
+    it('should list field errors of Mongoose validation errors', () => {
+      const post = new mongoose.Document({}, new mongoose.Schema({ title: { type: String, required: [true, 'Title is required'] } }));
+      const { body } = handle(post.validateSync());
+
+      expect(body.status).toBe(400);
+      expect(body.code).toBe('VALIDATION_FAILED');
+      expect(body.errors).toEqual([{ field: 'title', location: 'body', message: 'Title is required' }]);
+    });
+
+    it('should name expired tokens', () => {
+      const error = new Error('jwt expired');
+      error.name = 'TokenExpiredError';
+
+      const { body } = handle(error);
+
+      expect(body.status).toBe(401);
+      expect(body.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('should treat unexpected errors as internal errors', () => {
+      const { body } = handle(new Error('Something broke'));
+
+      expect(body.status).toBe(500);
+      expect(body.code).toBe('INTERNAL_ERROR');
+      expect(body.title).toBe('Internal Server Error');
+    });
+  });
+
+  describe('requestId', () => {
+    const run = (header) => {
+      const req = { get: () => header };
+      const res = { set: jest.fn() };
+      requestId(req, res, jest.fn());
+      return { req, res };
+    };
+
+    it('should reuse a plain incoming request ID', () => {
+      const { req, res } = run('abc-123');
+
+      expect(req.id).toBe('abc-123');
+      expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'abc-123');
+    });
+
+    it('should generate an ID when none or an unsafe one is sent', () => {
+      expect(run(undefined).req.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(run('bad id\nwith newline').req.id).not.toContain('bad');
+    });
+  });
+});
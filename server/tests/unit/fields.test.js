@@ -0,0 +1,88 @@
+const { checkFields, pickFields, allowFields } = require('../../src/utils/fields');
+
+describe('Field Utilities', () => {
+  describe('checkFields', () => {
+    it('should accept writable fields', () => {
+      const result = checkFields({ title: 'Title', meta: { description: 'About' } }, 'post', { role: 'user' });
+
+      expect(result).toEqual({ invalid: [], forbidden: [] });
+    });
+
+    it('should report unknown fields by path', () => {
+      const result = checkFields({ author: 'someone', views: 10, meta: { robots: 'noindex' } }, 'post', { role: 'admin' });
+
+      expect(result.invalid.map(error => error.field)).toEqual(['author', 'views', 'meta.robots']);
+    });
+
+    it('should report fields the role may not write', () => {
+      const user = checkFields({ featured: true }, 'post', { role: 'user' });
+      const editor = checkFields({ featured: true }, 'post', { role: 'editor' });
+
+      expect(user.forbidden).toEqual([{ field: 'featured', message: 'Requires permission post:feature' }]);
+      expect(editor.forbidden).toEqual([]);
+    });
+
+    it('should reject values that are not objects', () => {
+      expect(checkFields({ meta: 'description' }, 'post', { role: 'user' }).invalid).toEqual([
+        { field: 'meta', message: 'Must be an object' }
+      ]);
+      expect(checkFields(['title'], 'post', { role: 'user' }).invalid.length).toBe(1);
+    });
+
+    it('should keep each route to its own fields', () => {
+      expect(checkFields({ role: 'admin' }, 'profile', { role: 'admin' }).invalid).toEqual([
+        { field: 'role', message: 'Unknown field' }
+      ]);
+    });
+
+    it('should throw for unknown resources', () => {
+      expect(() => checkFields({}, 'widget', null)).toThrow('Unknown resource: widget');
+    });
+  });
+
+  describe('pickFields', () => {
+    it('should drop fields outside the allow-list', () => {
+      const picked = pickFields({ firstName: 'Jane', role: 'admin', password: 'secret' }, 'profile');
+
+      expect(picked).toEqual({ firstName: 'Jane' });
+    });
+
+    it('should flatten nested fields into paths', () => {
+      const picked = pickFields({ title: 'Title', meta: { keywords: ['node'], slug: 'x' } }, 'post');
+
+      expect(picked).toEqual({ title: 'Title', 'meta.keywords': ['node'] });
+    });
+  });
+
+  describe('allowFields', () => {
+    const run = (resource, body, user) => {
+      const next = jest.fn();
+      allowFields(resource)({ body, user }, {}, next);
+      return next.mock.calls[0][0];
+    };
+
+    it('should call next without an error for allowed bodies', () => {
+      expect(run('user', { bio: 'Hello', isActive: false }, { role: 'admin' })).toBeUndefined();
+    });
+
+    it('should fail validation with field errors for unknown fields', () => {
+      const error = run('user', { bio: 'Hello', password: 'secret' }, { role: 'user' });
+
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('VALIDATION_FAILED');
+      expect(error.errors).toEqual([{ field: 'password', location: 'body', message: 'Unknown field' }]);
+    });
+
+    it('should deny fields the role may not write', () => {
+      const error = run('user', { role: 'admin' }, { role: 'user' });
+
+      expect(error.statusCode).toBe(403);
+      expect(error.code).toBe('PERMISSION_DENIED');
+      expect(error.errors[0].field).toBe('role');
+    });
+
+    it('should throw when defined for an unknown resource', () => {
+      expect(() => allowFields('widget')).toThrow('Unknown resource: widget');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const sharp = require('sharp');
+const {
+  IMAGE_PRESETS,
+  getMaxImageSize,
+  detectImageType,
+  validateImage,
+  processImage,
+  saveImage,
+  removeImage
+} = require('../../src/utils/images');
+const { setStorage, resetStorage, createMemoryStorage } = require('../../src/utils/storage');
+
+const createImage = (width, height, format = 'png') => {
+  return sharp({ create: { width, height, channels: 3, background: '#336699' } })[format]().toBuffer();
+};
+
+const toFile = (buffer, mimetype = 'image/png') => ({ buffer, mimetype, size: buffer.length });
+
+describe('Image Utilities', () => {
+  afterEach(() => {
+    delete process.env.UPLOAD_MAX_SIZE_MB;
+    resetStorage();
+  });
+
+  describe('detectImageType', () => {
+    it('should detect images by their leading bytes', async () => {
+      expect(detectImageType(await createImage(2, 2, 'png'))).toBe('image/png');
+      expect(detectImageType(await createImage(2, 2, 'jpeg'))).toBe('image/jpeg');
+      expect(detectImageType(await createImage(2, 2, 'gif'))).toBe('image/gif');
+      expect(detectImageType(await createImage(2, 2, 'webp'))).toBe('image/webp');
+    });
+
+    it('should return null for other content', () => {
+      expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+      expect(detectImageType(Buffer.from('RIFF....WAVE'))).toBeNull();
+      expect(detectImageType(Buffer.alloc(0))).toBeNull();
+      expect(detectImageType('not a buffer')).toBeNull();
+    });
+  });
+
+  describe('getMaxImageSize', () => {
+    it('should read the limit in megabytes from the environment', () => {
+      process.env.UPLOAD_MAX_SIZE_MB = '2';
+      expect(getMaxImageSize()).toBe(2 * 1024 * 1024);
+    });
+
+    it('should default to 5MB', () => {
+      expect(getMaxImageSize()).toBe(5 * 1024 * 1024);
+
+      process.env.UPLOAD_MAX_SIZE_MB = 'lots';
+      expect(getMaxImageSize()).toBe(5 * 1024 * 1024);
+    });
+  });
+
+  describe('validateImage', () => {
+    it('should use the detected type rather than the declared one', async () => {
+      const jpeg = await createImage(2, 2, 'jpeg');
+
+      expect(validateImage(toFile(jpeg, 'application/octet-stream'))).toBe('image/jpeg');
+    });
+
+    it('should reject files whose content is not an image', () => {
+      const file = toFile(Buffer.from('<script>alert(1)</script>'), 'image/png');
+
+      expect(() => validateImage(file)).toThrow('File content is not a supported image');
+    });
+
+    it('should reject missing and oversized files', async () => {
+      process.env.UPLOAD_MAX_SIZE_MB = '1';
+      const png = await createImage(2, 2);
+
+      expect(() => validateImage(null)).toThrow('No file uploaded');
+      expect(() => validateImage({ ...toFile(png), size: 2 * 1024 * 1024 })).toThrow('File size too large');
+    });
+  });
+
+  describe('processImage', () => {
+    it('should render the main image and thumbnails of a preset', async () => {
+      const image = await processImage(toFile(await createImage(1000, 600)), 'avatar');
+
+      expect(image.main).toMatchObject({ width: 512, height: 512 });
+      expect(image.thumbnails.map(({ name, width, height }) => ({ name, width, height }))).toEqual([
+        { name: 'small', width: 64, height: 64 },
+        { name: 'medium', width: 128, height: 128 }
+      ]);
+      expect(detectImageType(image.main.buffer)).toBe('image/webp');
+    });
+
+    it('should keep the aspect ratio of cover images and not enlarge them', async () => {
+      const image = await processImage(toFile(await createImage(3200, 1600)), 'cover');
+      expect(image.main).toMatchObject({ width: IMAGE_PRESETS.cover.width, height: 800 });
+
+      const small = await processImage(toFile(await createImage(300, 200)), 'cover');
+      expect(small.main).toMatchObject({ width: 300, height: 200 });
+    });
+
+    it('should reject images that cannot be decoded', async () => {
+      const png = await createImage(10, 10);
+      const truncated = png.subarray(0, 20);
+
+      await expect(processImage(toFile(truncated), 'avatar')).rejects.toThrow('Image could not be processed');
+    });
+
+    it('should reject unknown presets', async () => {
+      await expect(processImage(toFile(await createImage(2, 2)), 'banner')).rejects.toThrow('Unknown image preset');
+    });
+  });
+
+  describe('saveImage and removeImage', () => {
+    it('should store every size under the prefix and remove them again', async () => {
+      const storage = setStorage(createMemoryStorage());
+      const processed = await processImage(toFile(await createImage(200, 200)), 'avatar');
+
+      const image = await saveImage(processed, 'avatars/user1');
+
+      expect(image.key).toMatch(/^avatars\/user1\/[a-f0-9]+\.webp$/);
+      expect(image.url).toBe(`/uploads/${image.key}`);
+      expect(image.contentType).toBe('image/webp');
+      expect(image.thumbnails.map(thumbnail => thumbnail.name)).toEqual(['small', 'medium']);
+      expect(storage.files.size).toBe(3);
+
+      await removeImage(image);
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should not leave files behind when storing fails', async () => {
+      const storage = createMemoryStorage();
+      let saves = 0;
+      const save = storage.save;
+      storage.save = async (...args) => {
+        if (++saves === 2) throw new Error('Disk full');
+        return save(...args);
+      };
+      setStorage(storage);
+      const processed = await processImage(toFile(await createImage(200, 200)), 'avatar');
+
+      await expect(saveImage(processed, 'avatars/user1')).rejects.toThrow('Disk full');
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should ignore missing images and removal failures', async () => {
+      const storage = setStorage(createMemoryStorage());
+      storage.remove = async () => {
+        throw new Error('Gone');
+      };
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(removeImage(null)).resolves.toBeUndefined();
+      await expect(removeImage({ key: 'a.webp', thumbnails: [] })).resolves.toBeUndefined();
+      expect(spy).toHaveBeenCalled();
+
+      spy.mockRestore();
+    });
+  });
+});
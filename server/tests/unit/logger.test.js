@@ -0,0 +1,112 @@
+const {
+  logger,
+  createLogger,
+  redact,
+  getLogLevel,
+  setLogOutput,
+  resetLogOutput,
+  createMemoryLogOutput,
+  runWithLogContext
+} = require('../../src/utils/logger');
+const { redactUrl } = require('../../src/middleware/requestLogger');
+
+describe('Logger Utilities', () => {
+  let output;
+
+  beforeEach(() => {
+    output = setLogOutput(createMemoryLogOutput());
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    resetLogOutput();
+  });
+
+  describe('logger', () => {
+    it('should write structured entries', () => {
+      logger.info('Post published', { postId: 'abc' });
+
+      expect(output.entries).toEqual([
+        { time: expect.any(String), level: 'info', msg: 'Post published', postId: 'abc' }
+      ]);
+    });
+
+    it('should skip entries below LOG_LEVEL', () => {
+      logger.debug('Hidden by default');
+      process.env.LOG_LEVEL = 'warn';
+      logger.info('Hidden');
+      logger.error('Shown');
+
+      expect(output.entries.map(entry => entry.msg)).toEqual(['Shown']);
+    });
+
+    it('should add the fields of the current context', () => {
+      runWithLogContext({ requestId: 'req-1' }, () => {
+        logger.warn('Inside a request');
+      });
+      logger.warn('Outside a request');
+
+      expect(output.entries[0].requestId).toBe('req-1');
+      expect(output.entries[1]).not.toHaveProperty('requestId');
+    });
+
+    it('should add the fields of child loggers', () => {
+      createLogger({ component: 'scheduler' }).child({ job: 'publish' }).info('Job done');
+
+      expect(output.entries[0]).toMatchObject({ component: 'scheduler', job: 'publish' });
+    });
+
+    it('should reject outputs without write', () => {
+      expect(() => setLogOutput({})).toThrow('Log output must implement write(entry)');
+    });
+  });
+
+  describe('getLogLevel', () => {
+    it('should default to info and ignore unknown levels', () => {
+      expect(getLogLevel()).toBe('info');
+
+      process.env.LOG_LEVEL = 'DEBUG';
+      expect(getLogLevel()).toBe('debug');
+
+      process.env.LOG_LEVEL = 'verbose';
+      expect(getLogLevel()).toBe('info');
+    });
+  });
+
+  describe('redact', () => {
+    it('should hide passwords, tokens and secrets at any depth', () => {
+      const redacted = redact({
+        email: 'test@example.com',
+        password: 'Password123',
+        headers: { authorization: 'Bearer abc', cookie: 'session=1' },
+        tokens: [{ refreshToken: 'xyz' }]
+      });
+
+      expect(redacted).toEqual({
+        email: 'test@example.com',
+        password: '[REDACTED]',
+        headers: { authorization: '[REDACTED]', cookie: '[REDACTED]' },
+        tokens: '[REDACTED]'
+      });
+    });
+
+    it('should serialize errors and handle circular values', () => {
+      const value = { err: new Error('Broken') };
+      value.self = value;
+
+      const redacted = redact(value);
+
+      expect(redacted.err).toMatchObject({ name: 'Error', message: 'Broken' });
+      expect(redacted.self).toBe('[Circular]');
+    });
+  });
+
+  describe('redactUrl', () => {
+    it('should hide secret route parameters and query values', () => {
+      expect(redactUrl('/api/auth/reset-password/abc123', '/api/auth/reset-password/:token'))
+        .toBe('/api/auth/reset-password/[REDACTED]');
+      expect(redactUrl('/api/posts?page=2&token=abc')).toBe('/api/posts?page=2&token=%5BREDACTED%5D');
+      expect(redactUrl('/api/posts/42', '/api/posts/:id')).toBe('/api/posts/42');
+    });
+  });
+});
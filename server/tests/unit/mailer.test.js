@@ -0,0 +1,61 @@
+const {
+  sendMail,
+  setTransport,
+  resetTransport,
+  createMemoryTransport,
+  buildClientUrl
+} = require('../../src/utils/mailer');
+
+describe('Mailer Utilities', () => {
+  afterEach(() => {
+    resetTransport();
+    delete process.env.CLIENT_URL;
+  });
+
+  describe('sendMail', () => {
+    it('should deliver through the active transport', async () => {
+      const transport = setTransport(createMemoryTransport());
+
+      await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(transport.messages.length).toBe(1);
+      expect(transport.messages[0]).toMatchObject({
+        to: 'test@example.com',
+        subject: 'Hello',
+        text: 'Body'
+      });
+      expect(transport.messages[0].from).toBeDefined();
+    });
+
+    it('should require a recipient and a subject', async () => {
+      await expect(sendMail({ subject: 'Hello' })).rejects.toThrow('Mail requires a recipient and a subject');
+      await expect(sendMail({ to: 'test@example.com' })).rejects.toThrow('Mail requires a recipient and a subject');
+    });
+  });
+
+  describe('setTransport', () => {
+    it('should reject a transport without send', () => {
+      expect(() => setTransport({})).toThrow('Mail transport must implement send(message)');
+      expect(() => setTransport(null)).toThrow('Mail transport must implement send(message)');
+    });
+  });
+
+  describe('createMemoryTransport', () => {
+    it('should clear captured messages', async () => {
+      const transport = setTransport(createMemoryTransport());
+
+      await sendMail({ to: 'test@example.com', subject: 'Hello' });
+      transport.clear();
+
+      expect(transport.messages.length).toBe(0);
+    });
+  });
+
+  describe('buildClientUrl', () => {
+    it('should join the client URL and path', () => {
+      process.env.CLIENT_URL = 'https://example.com/';
+
+      expect(buildClientUrl('/reset-password/abc')).toBe('https://example.com/reset-password/abc');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { renderMarkdown, toPlainText, clearRenderCache } = require('../../src/utils/markdown');
+
+describe('Markdown Utilities', () => {
+  afterEach(() => {
+    delete process.env.MARKDOWN_CACHE_SIZE;
+    clearRenderCache();
+  });
+
+  describe('renderMarkdown', () => {
+    it('should render Markdown to HTML', () => {
+      const { html } = renderMarkdown('Some **bold** and `code`');
+
+      expect(html).toBe('<p>Some <strong>bold</strong> and <code>code</code></p>\n');
+    });
+
+    it('should keep comparison operators in code samples', () => {
+      const { html, text } = renderMarkdown('```js\nif (a < b) {}\n```');
+
+      expect(html).toContain('<code class="language-js">if (a &lt; b) {}');
+      expect(text).toBe('if (a < b) {}');
+    });
+
+    it('should remove raw HTML that is not allow-listed', () => {
+      const { html } = renderMarkdown('Hello <script>alert(1)</script><iframe src="https://example.com"></iframe> <img src="x.png" onerror="alert(1)">');
+
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('<iframe');
+      expect(html).not.toContain('onerror');
+      expect(html).toContain('<img src="x.png" />');
+    });
+
+    it('should drop unsafe link schemes and mark links nofollow', () => {
+      const { html } = renderMarkdown('[bad](javascript:alert(1)) [good](https://example.com)');
+
+      expect(html).not.toContain('javascript:');
+      expect(html).toContain('<a href="https://example.com" rel="nofollow noopener noreferrer">good</a>');
+    });
+
+    it('should add heading anchors and build a table of contents', () => {
+      const { html, toc } = renderMarkdown('# Getting *Started*\n\n## Setup\n\n## Setup');
+
+      expect(html).toContain('<h1 id="getting-started">Getting <em>Started</em></h1>');
+      expect(toc).toEqual([
+        { level: 1, text: 'Getting Started', id: 'getting-started' },
+        { level: 2, text: 'Setup', id: 'setup' },
+        { level: 2, text: 'Setup', id: 'setup-2' }
+      ]);
+    });
+
+    it('should compute reading time from the rendered text', () => {
+      const words = Array.from({ length: 401 }, () => 'word').join(' ');
+      const { wordCount, readingTime } = renderMarkdown(`## Heading\n\n${words}\n\n[](https://example.com/a/very/long/url)`);
+
+      expect(wordCount).toBe(402);
+      expect(readingTime).toBe(3);
+    });
+
+    it('should cache rendered output', () => {
+      expect(renderMarkdown('# Cached')).toBe(renderMarkdown('# Cached'));
+    });
+
+    it('should render every time when the cache is disabled', () => {
+      process.env.MARKDOWN_CACHE_SIZE = '0';
+
+      const first = renderMarkdown('# Uncached');
+      expect(renderMarkdown('# Uncached')).not.toBe(first);
+      expect(renderMarkdown('# Uncached')).toEqual(first);
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('should strip tags and decode entities', () => {
+      expect(toPlainText('<p>a &lt; b &amp;&amp; c</p>')).toBe('a < b && c');
+    });
+  });
+});
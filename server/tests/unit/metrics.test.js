@@ -0,0 +1,97 @@
+const {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  resetMetrics,
+  isValidMetricsToken
+} = require('../../src/utils/metrics');
+
+describe('Metrics Utilities', () => {
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+    resetMetrics();
+  });
+
+  describe('counters', () => {
+    const jobs = createCounter({ name: 'test_jobs_total', help: 'Jobs run', labelNames: ['job'] });
+
+    it('should count by labels', () => {
+      jobs.inc({ job: 'publish' });
+      jobs.inc({ job: 'publish' }, 2);
+      jobs.inc({ job: 'purge' });
+
+      expect(jobs.get({ job: 'publish' })).toBe(3);
+      expect(renderMetrics()).toContain('# TYPE test_jobs_total counter\ntest_jobs_total{job="publish"} 3\ntest_jobs_total{job="purge"} 1\n');
+    });
+
+    it('should reject unknown labels and negative increments', () => {
+      expect(() => jobs.inc({ queue: 'default' })).toThrow('Unknown labels for metric test_jobs_total: queue');
+      expect(() => jobs.inc({ job: 'publish' }, -1)).toThrow('cannot decrease');
+    });
+
+    it('should escape label values', () => {
+      jobs.inc({ job: 'say "hi"\nback\\slash' });
+
+      expect(renderMetrics()).toContain('test_jobs_total{job="say \\"hi\\"\\nback\\\\slash"} 1');
+    });
+
+    it('should not register a name twice', () => {
+      expect(() => createCounter({ name: 'test_jobs_total', help: 'Again' })).toThrow('already registered');
+      expect(() => createCounter({ name: 'test-jobs', help: 'Dashes' })).toThrow('Invalid metric name');
+    });
+
+    it('should report counters without labels before anything is counted', () => {
+      createCounter({ name: 'test_events_total', help: 'Events' });
+
+      expect(renderMetrics()).toContain('test_events_total 0\n');
+    });
+  });
+
+  describe('gauges', () => {
+    it('should read collected values on each render', () => {
+      let queued = 4;
+      createGauge({ name: 'test_queue_size', help: 'Queue size', collect: (gauge) => gauge.set({}, queued) });
+
+      expect(renderMetrics()).toContain('test_queue_size 4\n');
+      queued = 2;
+      expect(renderMetrics()).toContain('test_queue_size 2\n');
+    });
+  });
+
+  describe('histograms', () => {
+    const duration = createHistogram({
+      name: 'test_duration_seconds',
+      help: 'Duration',
+      labelNames: ['route'],
+      buckets: [0.1, 1]
+    });
+
+    it('should count observations in cumulative buckets', () => {
+      duration.observe({ route: '/api/posts' }, 0.05);
+      duration.observe({ route: '/api/posts' }, 0.5);
+      duration.observe({ route: '/api/posts' }, 3);
+
+      const output = renderMetrics();
+      expect(output).toContain('test_duration_seconds_bucket{route="/api/posts",le="0.1"} 1');
+      expect(output).toContain('test_duration_seconds_bucket{route="/api/posts",le="1"} 2');
+      expect(output).toContain('test_duration_seconds_bucket{route="/api/posts",le="+Inf"} 3');
+      expect(output).toContain('test_duration_seconds_sum{route="/api/posts"} 3.55');
+      expect(output).toContain('test_duration_seconds_count{route="/api/posts"} 3');
+    });
+  });
+
+  describe('isValidMetricsToken', () => {
+    it('should accept any request without METRICS_TOKEN', () => {
+      expect(isValidMetricsToken(undefined)).toBe(true);
+    });
+
+    it('should require the configured token', () => {
+      process.env.METRICS_TOKEN = 'scrape-secret';
+
+      expect(isValidMetricsToken('scrape-secret')).toBe(true);
+      expect(isValidMetricsToken('wrong')).toBe(false);
+      expect(isValidMetricsToken(undefined)).toBe(false);
+    });
+  });
+});
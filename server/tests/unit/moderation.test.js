@@ -0,0 +1,67 @@
+const {
+  getSpamConfig,
+  countLinks,
+  checkSpam,
+  resolveCommentMode
+} = require('../../src/utils/moderation');
+
+describe('Moderation Utilities', () => {
+  afterEach(() => {
+    delete process.env.COMMENT_MAX_LINKS;
+    delete process.env.COMMENT_BANNED_WORDS;
+  });
+
+  describe('getSpamConfig', () => {
+    it('should use defaults when nothing is configured', () => {
+      expect(getSpamConfig()).toEqual({ maxLinks: 2, bannedWords: [] });
+    });
+
+    it('should read limits and banned words from the environment', () => {
+      process.env.COMMENT_MAX_LINKS = '0';
+      process.env.COMMENT_BANNED_WORDS = 'Casino, free money ,';
+
+      expect(getSpamConfig()).toEqual({ maxLinks: 0, bannedWords: ['casino', 'free money'] });
+    });
+  });
+
+  describe('countLinks', () => {
+    it('should count http and www links', () => {
+      expect(countLinks('see https://a.com and www.b.com or http://c.org')).toBe(3);
+      expect(countLinks('no links here')).toBe(0);
+    });
+  });
+
+  describe('checkSpam', () => {
+    const config = { maxLinks: 1, bannedWords: ['casino'] };
+
+    it('should pass ordinary comments', () => {
+      expect(checkSpam('Great post, thanks! https://example.com', config)).toEqual({
+        isSpam: false,
+        reasons: []
+      });
+    });
+
+    it('should flag comments with too many links', () => {
+      const result = checkSpam('https://a.com https://b.com', config);
+
+      expect(result.isSpam).toBe(true);
+      expect(result.reasons[0]).toMatch(/Too many links/);
+    });
+
+    it('should flag banned words as whole words, case-insensitively', () => {
+      expect(checkSpam('Visit our CASINO today', config).isSpam).toBe(true);
+      expect(checkSpam('Casinos are not matched', config).isSpam).toBe(false);
+    });
+  });
+
+  describe('resolveCommentMode', () => {
+    it('should prefer the post setting over the category', () => {
+      expect(resolveCommentMode({ commentMode: 'disabled' }, { commentMode: 'moderated' })).toBe('disabled');
+    });
+
+    it('should fall back to the category and then to open', () => {
+      expect(resolveCommentMode({ commentMode: null }, { commentMode: 'moderated' })).toBe('moderated');
+      expect(resolveCommentMode({}, null)).toBe('open');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  buildLinkHeader
+} = require('../../src/utils/pagination');
+
+describe('Pagination Utilities', () => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId('507f1f77bcf86cd799439011'),
+    createdAt: new Date('2024-01-15T10:30:00.000Z')
+  };
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip a document position', () => {
+      const cursor = encodeCursor(doc);
+      const decoded = decodeCursor(cursor);
+
+      expect(typeof cursor).toBe('string');
+      expect(decoded.createdAt.toISOString()).toBe('2024-01-15T10:30:00.000Z');
+      expect(decoded.id.toString()).toBe('507f1f77bcf86cd799439011');
+    });
+
+    it('should produce URL-safe cursors', () => {
+      expect(encodeCursor(doc)).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should return null for malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"createdAt":"nope","id":"1"}').toString('base64url'))).toBeNull();
+      expect(decodeCursor(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should select documents older than the cursor, breaking ties by ID', () => {
+      const position = decodeCursor(encodeCursor(doc));
+      const filter = buildCursorFilter(position);
+
+      expect(filter.$or[0]).toEqual({ createdAt: { $lt: position.createdAt } });
+      expect(filter.$or[1]).toEqual({ createdAt: position.createdAt, _id: { $lt: position.id } });
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    const baseUrl = 'http://localhost/api/posts';
+
+    it('should link to first, next, prev and last pages in page mode', () => {
+      const header = buildLinkHeader(baseUrl, { page: '2', limit: '10' }, {
+        page: 2,
+        limit: 10,
+        pages: 3,
+        nextCursor: 'abc'
+      });
+
+      expect(header).toContain('<http://localhost/api/posts?page=1&limit=10>; rel="first"');
+      expect(header).toContain('<http://localhost/api/posts?page=3&limit=10>; rel="next"');
+      expect(header).toContain('<http://localhost/api/posts?page=1&limit=10>; rel="prev"');
+      expect(header).toContain('<http://localhost/api/posts?page=3&limit=10>; rel="last"');
+    });
+
+    it('should link to the next cursor in cursor mode', () => {
+      const header = buildLinkHeader(baseUrl, { cursor: 'abc', limit: '5' }, {
+        limit: 5,
+        cursor: 'abc',
+        nextCursor: 'def'
+      });
+
+      expect(header).toContain('<http://localhost/api/posts?cursor=def&limit=5>; rel="next"');
+      expect(header).not.toContain('rel="last"');
+    });
+
+    it('should omit next on the last page', () => {
+      const header = buildLinkHeader(baseUrl, {}, { page: 1, limit: 10, pages: 1, nextCursor: null });
+
+      expect(header).not.toContain('rel="next"');
+      expect(header).not.toContain('rel="prev"');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PERMISSIONS,
+  validateRoles,
+  loadRoles,
+  resetRoles,
+  getRoleNames,
+  isKnownRole,
+  getPermissions,
+  hasPermission,
+  canAssignRole
+} = require('../../src/utils/permissions');
+
+describe('Permission Utilities', () => {
+  let directory;
+
+  const writeRolesFile = (roles) => {
+    const file = path.join(directory, 'roles.json');
+    fs.writeFileSync(file, typeof roles === 'string' ? roles : JSON.stringify(roles));
+    return file;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-test-'));
+  });
+
+  afterEach(() => {
+    delete process.env.ROLES_FILE;
+    resetRoles();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('default roles', () => {
+    it('should include the built-in roles', () => {
+      expect(getRoleNames()).toEqual(expect.arrayContaining(['admin', 'editor', 'moderator', 'author', 'user']));
+      expect(isKnownRole('editor')).toBe(true);
+      expect(isKnownRole('superuser')).toBe(false);
+      expect(isKnownRole('constructor')).toBe(false);
+    });
+
+    it('should give admins every permission', () => {
+      expect(getPermissions('admin').sort()).toEqual(Object.keys(PERMISSIONS).sort());
+    });
+
+    it('should let editors edit any post but not manage users', () => {
+      const editor = { role: 'editor' };
+
+      expect(hasPermission(editor, 'post:edit:any')).toBe(true);
+      expect(hasPermission(editor, 'category:manage')).toBe(true);
+      expect(hasPermission(editor, 'user:manage')).toBe(false);
+    });
+
+    it('should let moderators moderate comments only', () => {
+      const moderator = { role: 'moderator' };
+
+      expect(hasPermission(moderator, 'comment:moderate')).toBe(true);
+      expect(hasPermission(moderator, 'post:edit:any')).toBe(false);
+    });
+
+    it('should let regular users publish their posts', () => {
+      expect(getPermissions({ role: 'user' })).toEqual(['post:publish']);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should deny users without a known role', () => {
+      expect(hasPermission(null, 'post:publish')).toBe(false);
+      expect(hasPermission({ role: 'ghost' }, 'post:publish')).toBe(false);
+    });
+
+    it('should throw for unknown permissions', () => {
+      expect(() => hasPermission({ role: 'admin' }, 'post:explode')).toThrow('Unknown permission: post:explode');
+    });
+  });
+
+  describe('canAssignRole', () => {
+    it('should only allow roles within the user\'s own permissions', () => {
+      const admin = { role: 'admin' };
+      const editor = { role: 'editor' };
+
+      expect(canAssignRole(admin, 'editor')).toBe(true);
+      expect(canAssignRole(editor, 'author')).toBe(true);
+      expect(canAssignRole(editor, 'admin')).toBe(false);
+      expect(canAssignRole(admin, 'ghost')).toBe(false);
+    });
+  });
+
+  describe('loadRoles', () => {
+    it('should add and replace roles from the roles file', () => {
+      process.env.ROLES_FILE = writeRolesFile({
+        reviewer: ['post:edit:any'],
+        user: []
+      });
+
+      expect(isKnownRole('reviewer')).toBe(true);
+      expect(hasPermission({ role: 'reviewer' }, 'post:edit:any')).toBe(true);
+      expect(hasPermission({ role: 'user' }, 'post:publish')).toBe(false);
+      expect(isKnownRole('editor')).toBe(true);
+    });
+
+    it('should reject unknown permissions in the roles file', () => {
+      const file = writeRolesFile({ reviewer: ['post:review'] });
+
+      expect(() => loadRoles(file)).toThrow('unknown permission "post:review" in role "reviewer"');
+    });
+
+    it('should reject files that are not JSON', () => {
+      const file = writeRolesFile('reviewer: everything');
+
+      expect(() => loadRoles(file)).toThrow();
+    });
+  });
+
+  describe('app startup', () => {
+    it('should read the roles file when the app loads', () => {
+      process.env.ROLES_FILE = writeRolesFile({ reviewer: ['post:review'] });
+
+      jest.isolateModules(() => {
+        expect(() => require('../../src/app')).toThrow('unknown permission "post:review" in role "reviewer"');
+      });
+    });
+  });
+
+  describe('validateRoles', () => {
+    it('should reject invalid role maps', () => {
+      expect(() => validateRoles([], 'Roles')).toThrow('Roles must map role names to lists of permissions');
+      expect(() => validateRoles({ 'Bad Role': [] }, 'Roles')).toThrow('invalid role name "Bad Role"');
+      expect(() => validateRoles({ reviewer: 'post:publish' }, 'Roles')).toThrow('must be a list');
+    });
+
+    it('should accept the wildcard permission', () => {
+      expect(validateRoles({ owner: ['*'] }, 'Roles')).toEqual({ owner: ['*'] });
+    });
+  });
+});
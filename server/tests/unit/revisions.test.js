@@ -0,0 +1,76 @@
+const {
+  getRevisionLimit,
+  diffWords,
+  diffSnapshots
+} = require('../../src/utils/revisions');
+
+describe('Revision Utilities', () => {
+  describe('getRevisionLimit', () => {
+    const originalLimit = process.env.POST_REVISION_LIMIT;
+
+    afterEach(() => {
+      if (originalLimit === undefined) {
+        delete process.env.POST_REVISION_LIMIT;
+      } else {
+        process.env.POST_REVISION_LIMIT = originalLimit;
+      }
+    });
+
+    it('should keep 50 revisions by default', () => {
+      delete process.env.POST_REVISION_LIMIT;
+      expect(getRevisionLimit()).toBe(50);
+    });
+
+    it('should read the limit from the environment', () => {
+      process.env.POST_REVISION_LIMIT = '5';
+      expect(getRevisionLimit()).toBe(5);
+
+      process.env.POST_REVISION_LIMIT = '0';
+      expect(getRevisionLimit()).toBe(50);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should mark removed and added words', () => {
+      expect(diffWords('The quick brown fox', 'The quick red fox')).toEqual([
+        { type: 'equal', value: 'The quick ' },
+        { type: 'removed', value: 'brown ' },
+        { type: 'added', value: 'red ' },
+        { type: 'equal', value: 'fox' }
+      ]);
+    });
+
+    it('should rebuild both texts from the parts', () => {
+      const before = 'One two three four five';
+      const after = 'Zero one two four five six';
+      const parts = diffWords(before, after);
+
+      const join = (types) => parts.filter(part => types.includes(part.type)).map(part => part.value).join('');
+      expect(join(['equal', 'removed'])).toBe(before);
+      expect(join(['equal', 'added'])).toBe(after);
+    });
+
+    it('should handle empty texts', () => {
+      expect(diffWords('', 'New text')).toEqual([{ type: 'added', value: 'New text' }]);
+      expect(diffWords('Old text', null)).toEqual([{ type: 'removed', value: 'Old text' }]);
+      expect(diffWords('', '')).toEqual([]);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should only report changed fields', () => {
+      const changes = diffSnapshots(
+        { title: 'Old title', tags: ['react'], status: 'draft', featured: false },
+        { title: 'New title', tags: ['react'], status: 'published', featured: false }
+      );
+
+      expect(Object.keys(changes)).toEqual(['title', 'status']);
+      expect(changes.title.diff).toEqual([
+        { type: 'removed', value: 'Old ' },
+        { type: 'added', value: 'New ' },
+        { type: 'equal', value: 'title' }
+      ]);
+      expect(changes.status).toEqual({ from: 'draft', to: 'published' });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { getSchedulerConfig } = require('../../src/utils/scheduler');
+
+describe('Scheduler Utilities', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.SCHEDULER_ENABLED;
+    delete process.env.SCHEDULER_INTERVAL_SECONDS;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getSchedulerConfig', () => {
+    it('should run every minute by default', () => {
+      expect(getSchedulerConfig()).toEqual({ enabled: true, intervalMs: 60000 });
+    });
+
+    it('should read the interval and switch from the environment', () => {
+      process.env.SCHEDULER_ENABLED = 'false';
+      process.env.SCHEDULER_INTERVAL_SECONDS = '5';
+
+      expect(getSchedulerConfig()).toEqual({ enabled: false, intervalMs: 5000 });
+    });
+
+    it('should ignore invalid intervals', () => {
+      process.env.SCHEDULER_INTERVAL_SECONDS = '0';
+
+      expect(getSchedulerConfig().intervalMs).toBe(60000);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  parseSearchQuery,
+  hasPositiveTerms,
+  buildTextSearch,
+  escapeHtml,
+  highlight,
+  snippet
+} = require('../../src/utils/search');
+
+describe('Search Utilities', () => {
+  describe('parseSearchQuery', () => {
+    it('should split terms, phrases and exclusions', () => {
+      const parsed = parseSearchQuery('react "server side" -angular -"old news"');
+
+      expect(parsed.terms).toEqual(['react']);
+      expect(parsed.phrases).toEqual(['server side']);
+      expect(parsed.excluded).toEqual(['angular', 'old news']);
+    });
+
+    it('should ignore empty phrases and stray quotes', () => {
+      const parsed = parseSearchQuery('"" hooks" "  "');
+
+      expect(parsed.terms).toEqual(['hooks']);
+      expect(parsed.phrases).toEqual([]);
+    });
+
+    it('should report whether anything positive remains', () => {
+      expect(hasPositiveTerms(parseSearchQuery('-angular'))).toBe(false);
+      expect(hasPositiveTerms(parseSearchQuery('"server side"'))).toBe(true);
+    });
+  });
+
+  describe('buildTextSearch', () => {
+    it('should rebuild a $text search string', () => {
+      const parsed = parseSearchQuery('react  "server   side" -"old news" -angular');
+
+      expect(buildTextSearch(parsed)).toBe('react "server side" -"old news" -angular');
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape HTML special characters', () => {
+      expect(escapeHtml('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+  });
+
+  describe('highlight', () => {
+    it('should mark terms, stemmed variants and phrases', () => {
+      const parsed = parseSearchQuery('react "server side"');
+
+      expect(highlight('Reacting on the server side with React', parsed))
+        .toBe('<mark>Reacting</mark> on the <mark>server side</mark> with <mark>React</mark>');
+    });
+
+    it('should not mark excluded terms', () => {
+      expect(highlight('React and Angular', parseSearchQuery('react -angular')))
+        .toBe('<mark>React</mark> and Angular');
+    });
+
+    it('should treat query text literally and escape the field', () => {
+      expect(highlight('Use (a+b) <here>', parseSearchQuery('(a+b)')))
+        .toBe('Use <mark>(a+b)</mark> &lt;here&gt;');
+    });
+  });
+
+  describe('snippet', () => {
+    const filler = 'lorem ipsum dolor sit amet '.repeat(20);
+    const text = `${filler}the mongodb text index ranks results ${filler}`;
+
+    it('should cut a window around the first match', () => {
+      const result = snippet(text, parseSearchQuery('mongodb'), 80);
+
+      expect(result).toContain('<mark>mongodb</mark>');
+      expect(result.startsWith('… ')).toBe(true);
+      expect(result.endsWith(' …')).toBe(true);
+    });
+
+    it('should return short text whole', () => {
+      expect(snippet('Short mongodb note', parseSearchQuery('mongodb')))
+        .toBe('Short <mark>mongodb</mark> note');
+    });
+
+    it('should start at the beginning when nothing matches', () => {
+      const result = snippet(text, parseSearchQuery('missing'), 80);
+
+      expect(result.startsWith('lorem')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const { shutdown, isShuttingDown, resetShutdown, getShutdownTimeout } = require('../../src/utils/shutdown');
+
+describe('Shutdown Utilities', () => {
+  let server;
+  let port;
+
+  beforeEach((done) => {
+    jest.spyOn(mongoose.connection, 'close').mockResolvedValue();
+
+    const app = express();
+    app.get('/slow', (req, res) => setTimeout(() => res.send('done'), 100));
+    app.get('/stuck', () => {});
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.SHUTDOWN_TIMEOUT_MS;
+    jest.restoreAllMocks();
+    resetShutdown();
+    if (server.listening) {
+      server.close();
+    }
+  });
+
+  const get = (path) => new Promise((resolve, reject) => {
+    http.get(`http://localhost:${port}${path}`, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+
+  // Wait until the server has received a request, without waiting for the
+  // response
+  const inFlight = (path) => {
+    const response = get(path);
+    return new Promise(resolve => server.once('request', () => resolve({ response })));
+  };
+
+  it('should finish in-flight requests before closing the database', async () => {
+    const { response } = await inFlight('/slow');
+
+    await shutdown(server, { signal: 'SIGTERM' });
+
+    expect(await response).toEqual({ status: 200, body: 'done' });
+    expect(server.listening).toBe(false);
+    expect(mongoose.connection.close).toHaveBeenCalledTimes(1);
+    expect(isShuttingDown()).toBe(true);
+  });
+
+  it('should close connections still busy at the timeout', async () => {
+    const { response } = await inFlight('/stuck');
+
+    await shutdown(server, { timeoutMs: 50 });
+
+    await expect(response).rejects.toThrow();
+    expect(mongoose.connection.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only shut down once', async () => {
+    const first = shutdown(server);
+    const second = shutdown(server);
+
+    expect(second).toBe(first);
+    await first;
+    expect(mongoose.connection.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should read the timeout from the environment', () => {
+    expect(getShutdownTimeout()).toBe(10000);
+
+    process.env.SHUTDOWN_TIMEOUT_MS = '2500';
+    expect(getShutdownTimeout()).toBe(2500);
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  transliterate,
+  slugify,
+  generateUniqueSlug,
+  saveWithUniqueSlug
+} = require('../../src/utils/slugs');
+
+describe('Slug Utilities', () => {
+  describe('transliterate', () => {
+    it('should drop accents', () => {
+      expect(transliterate('Crème Brûlée')).toBe('creme brulee');
+    });
+
+    it('should map letters of other scripts', () => {
+      expect(transliterate('Привет')).toBe('privet');
+      expect(transliterate('Straße')).toBe('strasse');
+      expect(transliterate('Ελληνικά')).toBe('ellinika');
+    });
+  });
+
+  describe('slugify', () => {
+    it('should build lowercase hyphenated slugs', () => {
+      expect(slugify('Hello, World!')).toBe('hello-world');
+      expect(slugify('  --Spaced   out--  ')).toBe('spaced-out');
+    });
+
+    it('should transliterate non-ASCII titles', () => {
+      expect(slugify('Привет мир')).toBe('privet-mir');
+      expect(slugify('Café au lait')).toBe('cafe-au-lait');
+    });
+
+    it('should return an empty slug when nothing can be transliterated', () => {
+      expect(slugify('你好')).toBe('');
+    });
+
+    it('should cut long slugs at a word boundary', () => {
+      const slug = slugify(`${'word '.repeat(30)}end`);
+
+      expect(slug.length).toBeLessThanOrEqual(80);
+      expect(slug.endsWith('word')).toBe(true);
+    });
+  });
+
+  describe('generateUniqueSlug', () => {
+    const mockModel = (docs) => ({
+      find: jest.fn(() => ({
+        select: () => ({
+          lean: () => Promise.resolve(docs)
+        })
+      }))
+    });
+
+    it('should use the plain slug when it is free', async () => {
+      await expect(generateUniqueSlug(mockModel([]), 'Hello World')).resolves.toBe('hello-world');
+    });
+
+    it('should add the lowest free numeric suffix', async () => {
+      const Model = mockModel([
+        { slug: 'hello', slugHistory: [] },
+        { slug: 'hello-3', slugHistory: ['hello-2'] },
+        { slug: 'hello-world', slugHistory: [] }
+      ]);
+
+      await expect(generateUniqueSlug(Model, 'Hello')).resolves.toBe('hello-4');
+    });
+
+    it('should fall back when the text has no usable characters', async () => {
+      await expect(generateUniqueSlug(mockModel([]), '你好', { fallback: 'post' })).resolves.toBe('post');
+    });
+
+    it('should exclude the document being renamed', async () => {
+      const Model = mockModel([]);
+
+      await generateUniqueSlug(Model, 'Hello', { excludeId: 'abc' });
+
+      expect(Model.find.mock.calls[0][0]._id).toEqual({ $ne: 'abc' });
+    });
+  });
+
+  describe('saveWithUniqueSlug', () => {
+    const duplicateSlug = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { slug: 1 } });
+
+    const mockDoc = (taken, save) => ({
+      _id: 'abc',
+      title: 'Hello',
+      slug: 'hello',
+      slugHistory: { pull: jest.fn() },
+      $locals: { slugSource: { sourceField: 'title', fallback: 'post' } },
+      constructor: {
+        find: () => ({ select: () => ({ lean: () => Promise.resolve(taken) }) })
+      },
+      save
+    });
+
+    it('should retry with the next free slug after losing a race', async () => {
+      const save = jest.fn()
+        .mockRejectedValueOnce(duplicateSlug)
+        .mockResolvedValueOnce();
+      const doc = mockDoc([{ slug: 'hello', slugHistory: [] }], save);
+
+      await saveWithUniqueSlug(doc);
+
+      expect(save).toHaveBeenCalledTimes(2);
+      expect(doc.slug).toBe('hello-2');
+    });
+
+    it('should give up after the last attempt', async () => {
+      const save = jest.fn().mockRejectedValue(duplicateSlug);
+      const doc = mockDoc([{ slug: 'hello', slugHistory: [] }], save);
+
+      await expect(saveWithUniqueSlug(doc, { attempts: 3 })).rejects.toBe(duplicateSlug);
+      expect(save).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry slugs that were not generated', async () => {
+      const save = jest.fn().mockRejectedValue(duplicateSlug);
+      const doc = mockDoc([], save);
+      doc.$locals = {};
+
+      await expect(saveWithUniqueSlug(doc)).rejects.toBe(duplicateSlug);
+      expect(save).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  getStorageConfig,
+  createLocalStorage,
+  createMemoryStorage,
+  getStorage,
+  setStorage,
+  resetStorage
+} = require('../../src/utils/storage');
+
+describe('Storage Utilities', () => {
+  afterEach(() => {
+    delete process.env.UPLOAD_DIR;
+    delete process.env.UPLOAD_BASE_URL;
+    resetStorage();
+  });
+
+  describe('getStorageConfig', () => {
+    it('should read the directory and base URL from the environment', () => {
+      process.env.UPLOAD_DIR = '/tmp/uploads';
+      process.env.UPLOAD_BASE_URL = 'https://cdn.example.com/files/';
+
+      expect(getStorageConfig()).toEqual({
+        directory: '/tmp/uploads',
+        baseUrl: 'https://cdn.example.com/files'
+      });
+    });
+
+    it('should default to an uploads directory served from /uploads', () => {
+      const config = getStorageConfig();
+
+      expect(path.basename(config.directory)).toBe('uploads');
+      expect(config.baseUrl).toBe('/uploads');
+    });
+  });
+
+  describe('createLocalStorage', () => {
+    let directory;
+    let storage;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+      storage = createLocalStorage({ directory, baseUrl: '/uploads' });
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should write files under the directory and return their URL', async () => {
+      const result = await storage.save('avatars/1/a.webp', Buffer.from('data'));
+
+      expect(result).toEqual({ key: 'avatars/1/a.webp', url: '/uploads/avatars/1/a.webp' });
+      const content = await fs.readFile(path.join(directory, 'avatars/1/a.webp'), 'utf8');
+      expect(content).toBe('data');
+    });
+
+    it('should remove files and ignore missing ones', async () => {
+      await storage.save('a.webp', Buffer.from('data'));
+
+      await storage.remove('a.webp');
+      await storage.remove('a.webp');
+
+      await expect(fs.access(path.join(directory, 'a.webp'))).rejects.toThrow();
+    });
+
+    it('should refuse keys outside the directory', async () => {
+      await expect(storage.save('../escape.webp', Buffer.from('data'))).rejects.toThrow('Invalid storage key');
+      await expect(storage.remove('../../etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('createMemoryStorage', () => {
+    it('should keep saved files until they are removed', async () => {
+      const storage = createMemoryStorage();
+
+      await storage.save('a.webp', Buffer.from('data'), { contentType: 'image/webp' });
+      expect(storage.files.get('a.webp').contentType).toBe('image/webp');
+      expect(storage.url('a.webp')).toBe('/uploads/a.webp');
+
+      await storage.remove('a.webp');
+      expect(storage.files.size).toBe(0);
+    });
+  });
+
+  describe('setStorage', () => {
+    it('should replace the active backend until reset', () => {
+      const storage = setStorage(createMemoryStorage());
+
+      expect(getStorage()).toBe(storage);
+      expect(resetStorage()).not.toBe(storage);
+    });
+
+    it('should reject a backend without the required methods', () => {
+      expect(() => setStorage({ save: async () => {} })).toThrow('Storage backend must implement');
+      expect(() => setStorage(null)).toThrow('Storage backend must implement');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const {
+  normalizeTag,
+  normalizeTags,
+  parseTagQuery,
+  buildTagFilter
+} = require('../../src/utils/tags');
+
+describe('Tag Utilities', () => {
+  describe('normalizeTag', () => {
+    it('should lowercase and trim tags', () => {
+      expect(normalizeTag('  React ')).toBe('react');
+    });
+
+    it('should strip leading hashes and hyphenate whitespace', () => {
+      expect(normalizeTag('#Web   Development')).toBe('web-development');
+    });
+
+    it('should keep punctuation that is part of the tag', () => {
+      expect(normalizeTag('Node.js')).toBe('node.js');
+      expect(normalizeTag('C++')).toBe('c++');
+    });
+
+    it('should turn missing values into an empty tag', () => {
+      expect(normalizeTag(null)).toBe('');
+      expect(normalizeTag(undefined)).toBe('');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should drop empty and duplicate tags', () => {
+      expect(normalizeTags(['React', 'react', ' ', '#react', 'Vue'])).toEqual(['react', 'vue']);
+    });
+
+    it('should leave non-arrays alone', () => {
+      expect(normalizeTags('react')).toBe('react');
+    });
+  });
+
+  describe('parseTagQuery', () => {
+    it('should accept comma-separated and repeated values', () => {
+      expect(parseTagQuery('React,Node')).toEqual(['react', 'node']);
+      expect(parseTagQuery(['React', 'node,css'])).toEqual(['react', 'node', 'css']);
+    });
+  });
+
+  describe('buildTagFilter', () => {
+    it('should match a single tag directly', () => {
+      expect(buildTagFilter(['react'])).toBe('react');
+    });
+
+    it('should match any or all of several tags', () => {
+      expect(buildTagFilter(['react', 'node'])).toEqual({ $in: ['react', 'node'] });
+      expect(buildTagFilter(['react', 'node'], 'all')).toEqual({ $all: ['react', 'node'] });
+    });
+  });
+});
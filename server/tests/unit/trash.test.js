@@ -0,0 +1,42 @@
+const { getTrashRetentionDays, getPurgeDate } = require('../../src/utils/trash');
+
+describe('Trash Utilities', () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  describe('getTrashRetentionDays', () => {
+    it('should keep deleted items for 30 days by default', () => {
+      expect(getTrashRetentionDays()).toBe(30);
+    });
+
+    it('should read the retention period from the environment', () => {
+      process.env.TRASH_RETENTION_DAYS = '7';
+      expect(getTrashRetentionDays()).toBe(7);
+
+      process.env.TRASH_RETENTION_DAYS = '0';
+      expect(getTrashRetentionDays()).toBe(0);
+    });
+
+    it('should ignore invalid values', () => {
+      process.env.TRASH_RETENTION_DAYS = '-1';
+      expect(getTrashRetentionDays()).toBe(30);
+
+      process.env.TRASH_RETENTION_DAYS = 'forever';
+      expect(getTrashRetentionDays()).toBe(30);
+    });
+  });
+
+  describe('getPurgeDate', () => {
+    it('should add the retention period to the deletion date', () => {
+      const deletedAt = new Date('2024-01-01T00:00:00Z');
+
+      expect(getPurgeDate(deletedAt, 10)).toEqual(new Date('2024-01-11T00:00:00Z'));
+    });
+
+    it('should return null when nothing is purged', () => {
+      expect(getPurgeDate(new Date(), 0)).toBeNull();
+      expect(getPurgeDate(null, 30)).toBeNull();
+    });
+  });
+});
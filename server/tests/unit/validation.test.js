@@ -6,6 +6,7 @@ const {
   isValidDate,
   validatePagination,
   validateSearchQuery,
+  escapeRegExp,
   validateFileUpload,
   isUnique
 } = require('../../src/utils/validation');
@@ -46,6 +47,23 @@ describe('Validation Utilities', () => {
       expect(sanitized.email).toBe('test@example.com');
     });
 
+    it('should keep arrays as arrays', () => {
+      const sanitized = sanitizeInput({ tags: ['<b>node</b>', 'express'] });
+
+      expect(sanitized.tags).toEqual(['bnode/b', 'express']);
+    });
+
+    it('should leave excepted keys untouched', () => {
+      const input = {
+        title: '<b>Title</b>',
+        content: 'if (a < b) { return "<ok>"; }'
+      };
+      const sanitized = sanitizeInput(input, { except: ['content'] });
+
+      expect(sanitized.title).toBe('bTitle/b');
+      expect(sanitized.content).toBe(input.content);
+    });
+
     it('should handle non-string input', () => {
       expect(sanitizeInput(123)).toBe(123);
       expect(sanitizeInput(null)).toBe(null);
@@ -166,6 +184,15 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('escapeRegExp', () => {
+    it('should escape RegExp special characters', () => {
+      const pattern = new RegExp(escapeRegExp('a.b*(c)'));
+
+      expect(pattern.test('a.b*(c)')).toBe(true);
+      expect(pattern.test('axbbb(c)')).toBe(false);
+    });
+  });
+
   describe('validateFileUpload', () => {
     const mockFile = {
       mimetype: 'image/jpeg',
@@ -0,0 +1,29 @@
+const { getViewerKey } = require('../../src/utils/views');
+
+describe('View Utilities', () => {
+  describe('getViewerKey', () => {
+    const mockRequest = (overrides = {}) => ({
+      ip: '127.0.0.1',
+      get: (header) => (header === 'User-Agent' ? 'jest-agent' : undefined),
+      ...overrides
+    });
+
+    it('should key signed-in viewers by user ID', () => {
+      const req = mockRequest({ user: { _id: '507f1f77bcf86cd799439011' } });
+
+      expect(getViewerKey(req)).toBe('user:507f1f77bcf86cd799439011');
+    });
+
+    it('should fingerprint anonymous viewers without exposing their address', () => {
+      const key = getViewerKey(mockRequest());
+
+      expect(key).toMatch(/^anon:[0-9a-f]{64}$/);
+      expect(key).not.toContain('127.0.0.1');
+      expect(getViewerKey(mockRequest())).toBe(key);
+    });
+
+    it('should distinguish anonymous viewers by address', () => {
+      expect(getViewerKey(mockRequest({ ip: '10.0.0.1' }))).not.toBe(getViewerKey(mockRequest()));
+    });
+  });
+});